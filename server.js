@@ -1,12 +1,18 @@
 const express = require('express');
 const multer = require('multer');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GoogleGenerativeAI, SchemaType } = require('@google/generative-ai');
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { Client } = require('pg');
 require('dotenv').config();
 const cors = require('cors');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const exifr = require('exifr');
+const nodemailer = require('nodemailer');
 
 // Configure CORS - Allow all origins
 const corsOptions = {
@@ -19,6 +25,12 @@ const corsOptions = {
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client address
+// used for login lockout and AI quotas
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
@@ -32,9 +44,6 @@ const upload = multer({
   limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
 });
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 // Neon PostgreSQL client
 const client = new Client({
   connectionString: process.env.DATABASE_URL,
@@ -54,8 +63,62 @@ async function connectDatabase() {
   }
 }
 
+// JWT signing secret. The fallback only exists for local development; startServer
+// refuses to run in production without a strong JWT_SECRET.
+const JWT_SECRET = process.env.JWT_SECRET || 'default_secret';
+const WEAK_JWT_SECRETS = ['default_secret', 'your-jwt-secret-here', 'secret', 'changeme'];
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// A session stays alive while one of its refresh tokens is unexpired and either unused
+// or merely rotated; logging out revokes every token of the session
+const ACTIVE_SESSION_SQL = `expires_at > NOW() AND (revoked_at IS NULL OR revoked_reason = 'rotated')`;
+
+// Verify an access token and that what it claims still holds: the account is active,
+// its role, department and token version are unchanged and the session was not ended.
+// The event stream passes type 'event-stream' for its own tokens (see generateStreamToken),
+// and ignoreExpiration to keep checking the session once a short-lived token has run out.
+async function verifyAccessToken(token, { type = 'access', ignoreExpiration = false } = {}) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET, { ignoreExpiration });
+  } catch (error) {
+    return error.name === 'TokenExpiredError'
+      ? { error: 'Access token expired', code: 'TOKEN_EXPIRED' }
+      : { error: 'Invalid or expired token', code: 'TOKEN_INVALID' };
+  }
+
+  if (payload.type !== type || !payload.sid) {
+    return { error: 'Invalid or expired token', code: 'TOKEN_INVALID' };
+  }
+
+  const result = await client.query(`
+    SELECT u.is_active, u.role, u.department, u.token_version,
+      EXISTS (
+        SELECT 1 FROM refresh_tokens WHERE session_id = $2 AND user_id = u.id AND ${ACTIVE_SESSION_SQL}
+      ) AS session_active
+    FROM users u WHERE u.id = $1
+  `, [payload.id, payload.sid]);
+  const current = result.rows[0];
+
+  if (!current || !current.is_active || current.token_version !== payload.ver ||
+    current.role !== payload.role || (current.department || null) !== (payload.department || null)) {
+    return { error: 'Session is no longer valid, please log in again', code: 'SESSION_ENDED' };
+  }
+  if (!current.session_active) {
+    return { error: 'Session has ended, please log in again', code: 'SESSION_ENDED' };
+  }
+
+  return {
+    user: {
+      id: payload.id, email: payload.email, role: payload.role, department: payload.department,
+      sid: payload.sid, ver: payload.ver
+    }
+  };
+}
+
 // JWT Middleware for authentication
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -63,15 +126,268 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'default_secret', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  try {
+    const { user, error, code } = await verifyAccessToken(token);
+    if (error) {
+      return res.status(403).json({ error, code });
     }
     req.user = user;
     next();
-  });
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Failed to authenticate', details: error.message });
+  }
+};
+
+// For routes open to anonymous callers - sets req.user only when a valid token is sent
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const { user } = await verifyAccessToken(token);
+    if (user) {
+      req.user = user;
+    }
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Failed to authenticate', details: error.message });
+  }
 };
 
+// ==================== AUTHORIZATION ====================
+
+const ROLES = ['citizen', 'field-worker', 'department-head', 'district-magistrate'];
+
+// Every permission a route can require, with the wording used in access-denied errors
+const PERMISSIONS = {
+  'users:read': 'view user profiles',
+  'users:update': 'update user profiles',
+  'users:list': 'list users',
+  'users:invite': 'invite staff members',
+  'problems:create': 'report and support problems',
+  'problems:read': 'view problems, their history and images',
+  'problems:list': 'list and search problems',
+  'problems:feedback': 'rate or reopen resolved problems',
+  'problems:update': 'change the status of problems',
+  'problems:prioritize': 'change the priority of problems',
+  'problems:complete': 'complete problems with a photo',
+  'problems:assign': 'assign workers to problems',
+  'problems:merge': 'merge duplicate problems',
+  'problems:review': 'review doubtful completions',
+  'problems:triage': 'route problems from the triage queue',
+  'tasks:manage': 'work on your own task queue',
+  'workers:read': 'view field workers, their positions and trails',
+  'workers:manage': 'create and edit worker profiles',
+  'workers:update-status': 'update worker status and location',
+  'workers:locations': 'upload your own location trail',
+  'departments:read': 'view departments',
+  'departments:manage': 'create and edit departments',
+  'category-routes:read': 'view category routes',
+  'category-routes:manage': 'edit category routes',
+  'wards:read': 'view wards',
+  'wards:manage': 'import and edit wards',
+  'sla-policies:read': 'view SLA policies',
+  'sla-policies:manage': 'edit SLA policies',
+  'notifications:read': 'read your notifications',
+  'notifications:send': 'send notifications',
+  'analytics:read': 'view analytics',
+  'analytics:departments': 'compare departments',
+  'analytics:rebuild': 'rebuild statistics',
+  'ai:status': 'view AI provider status',
+  'permissions:read': 'view the role permission matrix',
+  'sessions:manage': 'end your own sessions',
+  'aadhaar:reveal': 'reveal Aadhaar numbers',
+  'audit:read': 'view the audit log',
+  'users:manage': 'deactivate users or change their role or department',
+  'events:subscribe': 'receive live updates'
+};
+
+// How far a permission reaches for a role
+const PERMISSION_SCOPES = {
+  all: 'Every record',
+  department: "Records of the user's department (problems assigned or routed to it, users in it)",
+  assigned: 'Problems assigned to the user',
+  own: "The user's own records (problems they reported, their own profile)"
+};
+
+// Role -> permission -> scope. A permission missing from a role is denied.
+const ROLE_PERMISSIONS = {
+  'citizen': {
+    'users:read': 'own',
+    'users:update': 'own',
+    'problems:create': 'own',
+    'problems:read': 'own',
+    'problems:feedback': 'own',
+    'notifications:read': 'own',
+    'permissions:read': 'all',
+    'sessions:manage': 'own',
+    'events:subscribe': 'own'
+  },
+  'field-worker': {
+    'users:read': 'own',
+    'users:update': 'own',
+    'problems:create': 'own',
+    'problems:read': 'assigned',
+    'problems:list': 'assigned',
+    'problems:update': 'assigned',
+    'problems:complete': 'assigned',
+    'tasks:manage': 'own',
+    'workers:update-status': 'own',
+    'workers:locations': 'own',
+    'notifications:read': 'own',
+    'permissions:read': 'all',
+    'sessions:manage': 'own',
+    'events:subscribe': 'assigned'
+  },
+  'department-head': {
+    'users:read': 'department',
+    'users:update': 'own',
+    'users:list': 'department',
+    'users:invite': 'department',
+    'problems:create': 'own',
+    'problems:read': 'department',
+    'problems:list': 'department',
+    'problems:update': 'department',
+    'problems:prioritize': 'department',
+    'problems:complete': 'department',
+    'problems:assign': 'department',
+    'problems:merge': 'department',
+    'problems:review': 'department',
+    'workers:read': 'department',
+    'workers:manage': 'department',
+    'workers:update-status': 'department',
+    'departments:read': 'all',
+    'category-routes:read': 'all',
+    'wards:read': 'all',
+    'sla-policies:read': 'all',
+    'notifications:read': 'own',
+    'notifications:send': 'department',
+    'analytics:read': 'department',
+    'permissions:read': 'all',
+    'sessions:manage': 'own',
+    'events:subscribe': 'department'
+  },
+  // Everything except the self-service permissions of citizens and field workers
+  'district-magistrate': Object.fromEntries(Object.keys(PERMISSIONS)
+    .filter(permission => !['problems:feedback', 'tasks:manage', 'workers:locations'].includes(permission))
+    .map(permission => [permission, 'all']))
+};
+
+function permissionScope(user, permission) {
+  return (ROLE_PERMISSIONS[user.role] || {})[permission] || null;
+}
+
+function hasPermission(user, permission) {
+  return permissionScope(user, permission) !== null;
+}
+
+// SQL conditions limiting problems to a scope
+function problemScopeConditions(scope, user, params, alias = 'p') {
+  if (scope === 'all') {
+    return [];
+  }
+
+  if (scope === 'department') {
+    params.push(user.department);
+    return [`(${alias}.assigned_department = $${params.length} OR
+      ${alias}.problem_categories && ARRAY(SELECT category::text FROM category_department_routes WHERE department = $${params.length}))`];
+  }
+
+  params.push(user.id);
+  return [scope === 'assigned' ? `${alias}.assigned_worker_id = $${params.length}` : `${alias}.user_id = $${params.length}`];
+}
+
+// Ids among problemIds that exist but lie outside the user's scope for a permission
+async function findProblemsOutsideScope(user, permission, problemIds) {
+  const scope = permissionScope(user, permission);
+  if (scope === 'all') {
+    return [];
+  }
+
+  const params = [problemIds];
+  const conditions = problemScopeConditions(scope, user, params);
+  const result = await client.query(`
+    SELECT p.id FROM problems p
+    WHERE p.id = ANY($1::int[]) AND NOT COALESCE(${conditions.join(' AND ')}, false)
+  `, params);
+  return result.rows.map(row => row.id);
+}
+
+// Whether a user record lies inside the user's scope for a permission. A department scope
+// only reaches existing users of that department.
+async function isUserInScope(user, permission, targetUserId) {
+  const scope = permissionScope(user, permission);
+  if (scope === 'all' || targetUserId === user.id) {
+    return scope !== null;
+  }
+  if (scope !== 'department') {
+    return false;
+  }
+
+  const result = await client.query('SELECT department FROM users WHERE id = $1', [targetUserId]);
+  return result.rows.length > 0 && result.rows[0].department === user.department;
+}
+
+// Route middleware: the caller's role must grant the permission, and the problem or
+// user named by a route parameter must lie inside its scope. Sets req.permissionScope.
+function authorize(permission, resource = {}) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const scope = permissionScope(req.user, permission);
+      if (!scope) {
+        return res.status(403).json({
+          error: `Your role cannot ${PERMISSIONS[permission]}`,
+          required_permission: permission
+        });
+      }
+      req.permissionScope = scope;
+
+      if (resource.problem) {
+        const problemId = parseInt(req.params[resource.problem]);
+        if (isNaN(problemId)) {
+          return res.status(400).json({ error: 'Invalid problem id' });
+        }
+        const outside = await findProblemsOutsideScope(req.user, permission, [problemId]);
+        if (outside.length > 0) {
+          return res.status(403).json({ error: 'This problem is outside your access scope', required_permission: permission, scope });
+        }
+      }
+
+      if (resource.user) {
+        const userId = parseInt(req.params[resource.user]);
+        if (isNaN(userId)) {
+          return res.status(400).json({ error: 'Invalid user id' });
+        }
+        if (!await isUserInScope(req.user, permission, userId)) {
+          // Department-wide roles may learn that an id is unknown; others only see a refusal
+          if (scope === 'department') {
+            const exists = await client.query('SELECT 1 FROM users WHERE id = $1', [userId]);
+            if (exists.rows.length === 0) {
+              return res.status(404).json({ error: 'User not found' });
+            }
+          }
+          return res.status(403).json({ error: 'This user is outside your access scope', required_permission: permission, scope });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      res.status(500).json({ error: 'Failed to check permissions', details: error.message });
+    }
+  };
+}
+
 // Initialize database tables (same as before)
 async function initializeDatabase() {
   try {
@@ -102,13 +418,15 @@ async function initializeDatabase() {
         user_id INTEGER REFERENCES users(id),
         problem_categories TEXT[] NOT NULL,
         others_text TEXT,
-        user_image_base64 TEXT NOT NULL,
+        user_image_base64 TEXT,
+        user_image_key VARCHAR(64),
         user_image_mimetype VARCHAR(100) NOT NULL,
         admin_image_base64 TEXT,
+        admin_image_key VARCHAR(64),
         admin_image_mimetype VARCHAR(100),
         latitude DECIMAL(10, 8) NOT NULL,
         longitude DECIMAL(11, 8) NOT NULL,
-        status VARCHAR(50) DEFAULT 'not completed',
+        status VARCHAR(50) DEFAULT 'submitted',
         priority VARCHAR(20) DEFAULT 'medium',
         assigned_worker_id INTEGER REFERENCES users(id),
         assigned_department VARCHAR(255),
@@ -121,6 +439,14 @@ async function initializeDatabase() {
       )
     `);
 
+    // Image references for existing databases created with base64-only columns
+    await client.query(`
+      ALTER TABLE problems
+        ADD COLUMN IF NOT EXISTS user_image_key VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS admin_image_key VARCHAR(64),
+        ALTER COLUMN user_image_base64 DROP NOT NULL
+    `);
+
     // Workers table (extended user information for field workers)
     await client.query(`
       CREATE TABLE IF NOT EXISTS workers (
@@ -210,6 +536,384 @@ async function initializeDatabase() {
       )
     `);
 
+    // Category -> department routing. Each alias (English or Hindi) is its own row.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS category_department_routes (
+        id SERIAL PRIMARY KEY,
+        category VARCHAR(255) NOT NULL,
+        department VARCHAR(255) NOT NULL,
+        language VARCHAR(10) DEFAULT 'en',
+        canonical_category VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (category, department)
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_category_routes_department ON category_department_routes (department)`);
+
+    // Optional area restriction on a route, so the same category can go to different
+    // departments in different parts of the district
+    await client.query(`
+      ALTER TABLE category_department_routes
+        ADD COLUMN IF NOT EXISTS min_latitude DECIMAL(10, 8),
+        ADD COLUMN IF NOT EXISTS max_latitude DECIMAL(10, 8),
+        ADD COLUMN IF NOT EXISTS min_longitude DECIMAL(11, 8),
+        ADD COLUMN IF NOT EXISTS max_longitude DECIMAL(11, 8)
+    `);
+
+    // Problems no route matched wait in the district magistrate's triage queue
+    await client.query(`ALTER TABLE problems ADD COLUMN IF NOT EXISTS needs_triage BOOLEAN DEFAULT false`);
+
+    // Wards with GeoJSON boundaries; the bounding box columns prefilter point lookups
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS wards (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        name_en VARCHAR(255),
+        ward_number INTEGER,
+        population INTEGER,
+        officer_id INTEGER REFERENCES users(id),
+        boundary JSONB NOT NULL,
+        min_latitude DECIMAL(10, 8) NOT NULL,
+        max_latitude DECIMAL(10, 8) NOT NULL,
+        min_longitude DECIMAL(11, 8) NOT NULL,
+        max_longitude DECIMAL(11, 8) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`ALTER TABLE problems ADD COLUMN IF NOT EXISTS ward_id INTEGER REFERENCES wards(id) ON DELETE SET NULL`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_problems_ward_id ON problems (ward_id)`);
+
+    // PostGIS is optional - when the extension is installed, ward lookups use a GiST index
+    const postgis = await client.query(`SELECT 1 FROM pg_extension WHERE extname = 'postgis'`);
+    postgisEnabled = postgis.rows.length > 0;
+    if (postgisEnabled) {
+      await client.query(`ALTER TABLE wards ADD COLUMN IF NOT EXISTS boundary_geom geometry(MultiPolygon, 4326)`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_wards_boundary_geom ON wards USING GIST (boundary_geom)`);
+      await client.query(`
+        UPDATE wards SET boundary_geom = ST_Multi(ST_SetSRID(ST_GeomFromGeoJSON(boundary::text), 4326))
+        WHERE boundary_geom IS NULL
+      `);
+    }
+
+    // Duplicate handling: perceptual hash of the citizen photo, merged children and +1 supporters
+    await client.query(`
+      ALTER TABLE problems
+        ADD COLUMN IF NOT EXISTS user_image_phash VARCHAR(16),
+        ADD COLUMN IF NOT EXISTS parent_problem_id INTEGER REFERENCES problems(id),
+        ADD COLUMN IF NOT EXISTS support_count INTEGER DEFAULT 0
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_problems_parent_problem_id ON problems (parent_problem_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_problems_location ON problems (latitude, longitude)`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS problem_supporters (
+        id SERIAL PRIMARY KEY,
+        problem_id INTEGER REFERENCES problems(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (problem_id, user_id)
+      )
+    `);
+
+    // SLA policies: the most specific (category, priority) match sets a problem's deadline
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sla_policies (
+        id SERIAL PRIMARY KEY,
+        category VARCHAR(255),
+        priority VARCHAR(20),
+        resolution_hours INTEGER NOT NULL CHECK (resolution_hours > 0),
+        escalate_after_hours INTEGER DEFAULT 24 CHECK (escalate_after_hours > 0),
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_sla_policies_scope
+      ON sla_policies (COALESCE(category, ''), COALESCE(priority, ''))
+    `);
+    await client.query(`
+      ALTER TABLE problems
+        ADD COLUMN IF NOT EXISTS sla_policy_id INTEGER REFERENCES sla_policies(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS sla_due_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS sla_breached_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS escalation_level INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_problems_sla_due_at ON problems (sla_due_at)`);
+
+    // Citizen feedback and reopen tracking
+    await client.query(`
+      ALTER TABLE problems
+        ADD COLUMN IF NOT EXISTS feedback_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS reopen_count INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS reopen_image_key VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS reopen_image_mimetype VARCHAR(100)
+    `);
+    await client.query(`ALTER TABLE workers ADD COLUMN IF NOT EXISTS total_reopened INTEGER DEFAULT 0`);
+
+    // Server-side sessions: rotating refresh tokens, and a per-user version that
+    // invalidates every access token when bumped
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0`);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        session_id UUID NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        revoked_reason VARCHAR(30),
+        replaced_by_id INTEGER REFERENCES refresh_tokens(id),
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens (session_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (user_id, expires_at)`);
+
+    // Aadhaar is kept encrypted; the plaintext column is emptied by migrateAadhaarEncryption
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS aadhar_encrypted TEXT,
+        ADD COLUMN IF NOT EXISTS aadhar_hash VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS aadhar_last4 VARCHAR(4)
+    `);
+    await client.query(`ALTER TABLE users ALTER COLUMN aadhar DROP NOT NULL`);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_aadhar_hash ON users (aadhar_hash)`);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS aadhaar_access_log (
+        id SERIAL PRIMARY KEY,
+        actor_id INTEGER NOT NULL REFERENCES users(id),
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        reason TEXT NOT NULL,
+        ip_address VARCHAR(64),
+        user_agent VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Email / phone verification codes, password reset tokens and login attempts for lockout
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT false,
+        ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS phone_verified BOOLEAN NOT NULL DEFAULT false,
+        ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMP
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS verification_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        channel VARCHAR(10) NOT NULL,
+        destination VARCHAR(255) NOT NULL,
+        code_hash VARCHAR(64) NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        consumed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_verification_codes_user ON verification_codes (user_id, channel, created_at)`);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        requested_ip VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255),
+        ip_address VARCHAR(64),
+        outcome VARCHAR(10) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts (email, created_at)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip_address, created_at)`);
+
+    // Recent problem and notification events, replayed to reconnecting live clients
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS realtime_events (
+        id BIGSERIAL PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        problem_id INTEGER,
+        departments TEXT[] NOT NULL DEFAULT '{}',
+        user_ids INTEGER[] NOT NULL DEFAULT '{}',
+        broadcast BOOLEAN NOT NULL DEFAULT false,
+        payload JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_realtime_events_created ON realtime_events (created_at)`);
+
+    // Append-only, hash-chained record of every mutating API request
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        created_at TIMESTAMPTZ NOT NULL,
+        actor_id INTEGER REFERENCES users(id),
+        actor_role VARCHAR(50),
+        action VARCHAR(255) NOT NULL,
+        entity_type VARCHAR(50),
+        entity_id VARCHAR(64),
+        status_code INTEGER,
+        request_body JSONB,
+        before JSONB,
+        after JSONB,
+        diff JSONB,
+        ip_address VARCHAR(64),
+        user_agent VARCHAR(255),
+        prev_hash VARCHAR(64) NOT NULL,
+        hash VARCHAR(64) NOT NULL
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id, created_at)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id)`);
+    await client.query(`
+      CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query(`DROP TRIGGER IF EXISTS audit_log_no_update ON audit_log`);
+    await client.query(`
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+    `);
+    await client.query(`DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log`);
+    await client.query(`
+      CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only()
+    `);
+
+    // Signed, expiring invitations for staff accounts
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS staff_invites (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(50) NOT NULL,
+        department VARCHAR(100),
+        specializations TEXT[],
+        token_hash VARCHAR(64) UNIQUE,
+        invited_by_id INTEGER REFERENCES users(id),
+        expires_at TIMESTAMP NOT NULL,
+        redeemed_at TIMESTAMP,
+        redeemed_by_id INTEGER REFERENCES users(id),
+        revoked_at TIMESTAMP,
+        revoked_by_id INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_staff_invites_email ON staff_invites (email)`);
+
+    // AI provider calls, counted against the per-client and global quotas
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id SERIAL PRIMARY KEY,
+        operation VARCHAR(30) NOT NULL,
+        provider VARCHAR(30) NOT NULL,
+        user_id INTEGER REFERENCES users(id),
+        client_key VARCHAR(100),
+        succeeded BOOLEAN NOT NULL,
+        duration_ms INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_usage_client ON ai_usage (client_key, created_at)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage (created_at)`);
+
+    // Structured AI image analyses, linked to problems on submission
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS image_analyses (
+        id SERIAL PRIMARY KEY,
+        image_hash VARCHAR(64) NOT NULL,
+        user_id INTEGER REFERENCES users(id),
+        model VARCHAR(100),
+        result JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_image_analyses_hash ON image_analyses (image_hash, created_at)`);
+    await client.query(`
+      ALTER TABLE problems
+        ADD COLUMN IF NOT EXISTS ai_analysis JSONB,
+        ADD COLUMN IF NOT EXISTS ai_severity VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS ai_flagged BOOLEAN DEFAULT false
+    `);
+
+    // Proof-of-work verification of completion photos
+    await client.query(`
+      ALTER TABLE problems
+        ADD COLUMN IF NOT EXISTS verification_score DECIMAL(4, 3),
+        ADD COLUMN IF NOT EXISTS verification_details JSONB,
+        ADD COLUMN IF NOT EXISTS verification_checked_at TIMESTAMP
+    `);
+
+    // When the assigned worker acknowledged the task
+    await client.query(`ALTER TABLE problems ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMP`);
+
+    // Worker GPS trail; workers.location_* keeps only the latest point
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS worker_locations (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) NOT NULL,
+        latitude DECIMAL(10, 8) NOT NULL,
+        longitude DECIMAL(11, 8) NOT NULL,
+        accuracy_m DECIMAL(8, 2),
+        source VARCHAR(20) DEFAULT 'live', -- live, batch
+        recorded_at TIMESTAMP NOT NULL,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_worker_locations_user_time ON worker_locations (user_id, recorded_at)`);
+    await client.query(`ALTER TABLE workers ADD COLUMN IF NOT EXISTS location_updated_at TIMESTAMP`);
+
+    // Departments opting in to automatic worker assignment
+    await client.query(`ALTER TABLE departments ADD COLUMN IF NOT EXISTS auto_assign BOOLEAN DEFAULT false`);
+
+    // Statistics engine: the worker holding a problem at each status change, and room for
+    // completion times beyond 999 hours
+    const historyWorkerColumn = await client.query(`
+      SELECT 1 FROM information_schema.columns WHERE table_name = 'problem_status_history' AND column_name = 'worker_id'
+    `);
+    await client.query(`ALTER TABLE problem_status_history ADD COLUMN IF NOT EXISTS worker_id INTEGER REFERENCES users(id)`);
+    await client.query(`ALTER TABLE workers ALTER COLUMN avg_completion_time TYPE DECIMAL(8, 2)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_problem_status_history_worker ON problem_status_history (worker_id, status)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_analytics_metric ON analytics (metric_name, date_range_start, date_range_end)`);
+    // History written before worker_id existed is attributed once, when the column is added
+    if (historyWorkerColumn.rows.length === 0) {
+      await backfillStatusHistory();
+    }
+    await migrateProblemStatuses();
+    await seedSlaPolicies();
+    // Open problems filed before SLA tracking existed get a deadline too
+    await applySlaPolicies(
+      'target.sla_due_at IS NULL AND target.sla_breached_at IS NULL AND NOT (target.status = ANY($1))',
+      [CLOSED_STATUSES]
+    );
+
+    // Indexes backing the problem list filters and keyset pagination
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_problems_created_at ON problems (created_at, id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_problems_updated_at ON problems (updated_at, id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_problems_user_id ON problems (user_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_problems_status ON problems (status)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_problems_assigned_worker_id ON problems (assigned_worker_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_problems_categories ON problems USING GIN (problem_categories)`);
+
+    await seedCategoryDepartmentRoutes();
+
     console.log('All database tables initialized successfully');
   } catch (error) {
     console.error('Database initialization error:', error);
@@ -217,841 +921,6852 @@ async function initializeDatabase() {
   }
 }
 
-// Utility function to convert image buffer to base64
-function convertImageToBase64(fileBuffer, mimeType) {
-  try {
-    const base64String = fileBuffer.toString('base64');
-    return {
-      base64: base64String,
-      mimeType: mimeType
-    };
-  } catch (error) {
-    console.error('Base64 conversion error:', error);
-    throw new Error('Failed to convert image to base64');
+// ==================== DEPARTMENT ROUTING ====================
+
+// Initial routes, seeded once into category_department_routes on a fresh database.
+// [category, department, language, canonical_category]
+const DEFAULT_CATEGORY_ROUTES = [
+  ['Garbage & Waste', 'सफाई विभाग', 'en', 'Garbage & Waste'],
+  ['Garbage & Waste Management', 'सफाई विभाग', 'en', 'Garbage & Waste'],
+  ['Garbage & Waste (roadside dumps, no dustbins, poor segregation)', 'सफाई विभाग', 'en', 'Garbage & Waste'],
+  ['सफाई और कचरा प्रबंधन', 'सफाई विभाग', 'hi', 'Garbage & Waste'],
+  ['Pollution (open garbage burning)', 'सफाई विभाग', 'en', 'Pollution'],
+  ['Drainage & Sewage', 'जल विभाग', 'en', 'Drainage & Sewage'],
+  ['Water Supply', 'जल विभाग', 'en', 'Water Supply'],
+  ['Water & Sanitation', 'जल विभाग', 'en', 'Water Supply'],
+  ['जल आपूर्ति', 'जल विभाग', 'hi', 'Water Supply'],
+  ['Traffic & Roads', 'सड़क विभाग', 'en', 'Traffic & Roads'],
+  ['Roads & Transportation', 'सड़क विभाग', 'en', 'Traffic & Roads'],
+  ['Roads & Infrastructure', 'सड़क विभाग', 'en', 'Traffic & Roads'],
+  ['सड़क और परिवहन', 'सड़क विभाग', 'hi', 'Traffic & Roads'],
+  ['Street Lighting', 'विद्युत विभाग', 'en', 'Street Lighting'],
+  ['Electricity', 'विद्युत विभाग', 'en', 'Electricity'],
+  ['Power & Utilities', 'विद्युत विभाग', 'en', 'Electricity'],
+  ['बिजली', 'विद्युत विभाग', 'hi', 'Electricity']
+];
+
+async function seedCategoryDepartmentRoutes() {
+  const existing = await client.query('SELECT COUNT(*) AS count FROM category_department_routes');
+  if (parseInt(existing.rows[0].count) > 0) {
+    return;
+  }
+
+  for (const [category, department, language, canonicalCategory] of DEFAULT_CATEGORY_ROUTES) {
+    await client.query(`
+      INSERT INTO category_department_routes (category, department, language, canonical_category)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (category, department) DO NOTHING
+    `, [category, department, language, canonicalCategory]);
   }
 }
 
-// Generate JWT token
-function generateToken(user) {
-  return jwt.sign(
-    { 
-      id: user.id, 
-      email: user.email, 
-      role: user.role 
-    },
-    process.env.JWT_SECRET || 'default_secret',
-    { expiresIn: '7d' }
-  );
+// Pick the department for a set of categories at a location. Area-restricted routes
+// win over district-wide ones, then the department matching the most categories,
+// then the one matching the earliest category in the list.
+async function resolveDepartmentForCategories(categories, latitude, longitude) {
+  const normalized = (categories || [])
+    .filter(category => typeof category === 'string' && category.trim())
+    .map(category => category.trim().toLowerCase());
+
+  if (normalized.length === 0) {
+    return null;
+  }
+
+  const result = await client.query(`
+    SELECT department,
+           COUNT(*) AS matches,
+           BOOL_OR(min_latitude IS NOT NULL OR min_longitude IS NOT NULL) AS area_specific,
+           MIN(array_position($1::text[], lower(category))) AS first_position
+    FROM category_department_routes
+    WHERE lower(category) = ANY($1::text[])
+      AND (min_latitude IS NULL OR $2::decimal BETWEEN min_latitude AND max_latitude)
+      AND (min_longitude IS NULL OR $3::decimal BETWEEN min_longitude AND max_longitude)
+    GROUP BY department
+    ORDER BY area_specific DESC, matches DESC, first_position ASC
+    LIMIT 1
+  `, [normalized, latitude, longitude]);
+
+  return result.rows.length > 0 ? result.rows[0].department : null;
 }
 
-// ==================== USER AUTHENTICATION ROUTES ====================
+// Route a newly submitted problem to a department, falling back to the triage queue.
+// The citizen's categories are tried first, then the AI-detected ones.
+async function autoRouteProblem(problem, aiCategories = []) {
+  let department = await resolveDepartmentForCategories(problem.problem_categories, problem.latitude, problem.longitude);
+  if (!department && aiCategories.length > 0) {
+    department = await resolveDepartmentForCategories(aiCategories, problem.latitude, problem.longitude);
+  }
 
-// User Registration
-app.post('/api/users/register', async (req, res) => {
-  try {
-    const { name, email, phone_number, aadhar, password, address, role = 'citizen', department } = req.body;
+  if (department) {
+    return changeProblemStatus(problem.id, 'triaged', null, `Auto-routed to ${department}`, {
+      assigned_department: department,
+      needs_triage: false
+    });
+  }
 
-    // Validate required fields
-    if (!name || !email || !phone_number || !aadhar || !password) {
-      return res.status(400).json({ 
-        error: 'All fields are required: name, email, phone_number, aadhar, password' 
-      });
-    }
+  const result = await client.query(`
+    UPDATE problems
+    SET needs_triage = true, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [problem.id]);
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: 'Invalid email format' });
-    }
+  await client.query(`
+    INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes)
+    VALUES ($1, $2, $3, $4)
+  `, [problem.id, problem.status, null, 'No department route matched - sent to triage queue']);
 
-    // Validate phone number (10 digits)
-    const phoneRegex = /^\d{10}$/;
-    if (!phoneRegex.test(phone_number)) {
-      return res.status(400).json({ error: 'Phone number must be exactly 10 digits' });
-    }
+  return result.rows[0];
+}
 
-    // Validate Aadhar (12 digits)
-    const aadharRegex = /^\d{12}$/;
-    if (!aadharRegex.test(aadhar)) {
-      return res.status(400).json({ error: 'Aadhar must be exactly 12 digits' });
-    }
+// Role-based visibility of problems, shared by the problem lists and analytics.
+// Follows the caller's problems:list scope (see ROLE_PERMISSIONS): department heads see
+// problems assigned to their department or whose categories are routed to it, field
+// workers what is assigned to them, anyone else only their own reports.
+function resolveProblemScope(user, params, alias = 'p') {
+  return problemScopeConditions(permissionScope(user, 'problems:list') || 'own', user, params, alias);
+}
 
-    // Hash password
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+// ==================== WARD GEOMETRY ====================
 
-    // Check if user already exists
-    const existingUser = await client.query(`
-      SELECT id FROM users 
-      WHERE email = $1 OR phone_number = $2 OR aadhar = $3
-    `, [email, phone_number, aadhar]);
+let postgisEnabled = false;
 
-    if (existingUser.rows.length > 0) {
-      return res.status(409).json({ error: 'User already exists with this email, phone, or aadhar' });
-    }
+// Validate a GeoJSON Polygon/MultiPolygon and normalise it to a list of polygons,
+// each a list of [lng, lat] rings (the first ring is the outer boundary, the rest holes)
+function parseWardGeometry(geometry) {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return null;
+  }
 
-    // Create new user
-    const result = await client.query(`
-      INSERT INTO users (name, email, phone_number, aadhar, password, address, role, department)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING id, name, email, phone_number, aadhar, role, department, created_at
-    `, [name, email, phone_number, aadhar, hashedPassword, address, role, department]);
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const isValidRing = (ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(position =>
+    Array.isArray(position) && position.length >= 2 &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+    position[0] >= -180 && position[0] <= 180 && position[1] >= -90 && position[1] <= 90
+  );
 
-    const user = result.rows[0];
-    const token = generateToken(user);
+  const valid = polygons.length > 0 && polygons.every(polygon =>
+    Array.isArray(polygon) && polygon.length > 0 && polygon.every(isValidRing)
+  );
 
-    res.status(201).json({ 
-      message: 'User registered successfully',
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        phone_number: user.phone_number,
-        aadhar: user.aadhar,
+  return valid ? polygons : null;
+}
+
+function geometryBoundingBox(polygons) {
+  const positions = polygons.flatMap(polygon => polygon[0]);
+  const lngs = positions.map(position => position[0]);
+  const lats = positions.map(position => position[1]);
+  return {
+    minLat: Math.min(...lats),
+    maxLat: Math.max(...lats),
+    minLng: Math.min(...lngs),
+    maxLng: Math.max(...lngs)
+  };
+}
+
+// Ray casting: count how many ring edges a ray from the point crosses
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInWardGeometry(lng, lat, polygons) {
+  return polygons.some(([outer, ...holes]) =>
+    pointInRing(lng, lat, outer) && !holes.some(hole => pointInRing(lng, lat, hole))
+  );
+}
+
+// Find the ward containing a point, or null if it falls outside every ward
+async function findWardIdForPoint(latitude, longitude) {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+
+  if (postgisEnabled) {
+    const result = await client.query(`
+      SELECT id FROM wards
+      WHERE ST_Contains(boundary_geom, ST_SetSRID(ST_MakePoint($1, $2), 4326))
+      ORDER BY id
+      LIMIT 1
+    `, [lng, lat]);
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  }
+
+  const candidates = await client.query(`
+    SELECT id, boundary FROM wards
+    WHERE $1 BETWEEN min_latitude AND max_latitude
+      AND $2 BETWEEN min_longitude AND max_longitude
+    ORDER BY id
+  `, [lat, lng]);
+
+  const ward = candidates.rows.find(row => pointInWardGeometry(lng, lat, parseWardGeometry(row.boundary) || []));
+  return ward ? ward.id : null;
+}
+
+// Recompute ward_id for the problems inside the given areas - the old and new bounding
+// boxes of the wards that changed, since nothing outside them can change ward. The new
+// ward ids are found in one pass and written with a single UPDATE.
+async function reassignProblemWards(wardRows) {
+  const areas = wardRows.filter(Boolean);
+  if (areas.length === 0) {
+    return 0;
+  }
+
+  const params = ['min_latitude', 'max_latitude', 'min_longitude', 'max_longitude']
+    .map(column => areas.map(area => Number(area[column])));
+  const inAreas = `EXISTS (
+    SELECT 1 FROM unnest($1::decimal[], $2::decimal[], $3::decimal[], $4::decimal[])
+      AS area(min_lat, max_lat, min_lng, max_lng)
+    WHERE p.latitude BETWEEN area.min_lat AND area.max_lat
+      AND p.longitude BETWEEN area.min_lng AND area.max_lng
+  )`;
+
+  if (postgisEnabled) {
+    const result = await client.query(`
+      WITH located AS (
+        SELECT p.id, (
+          SELECT w.id FROM wards w
+          WHERE ST_Contains(w.boundary_geom, ST_SetSRID(ST_MakePoint(p.longitude::float8, p.latitude::float8), 4326))
+          ORDER BY w.id
+          LIMIT 1
+        ) AS ward_id
+        FROM problems p
+        WHERE ${inAreas}
+      )
+      UPDATE problems p SET ward_id = located.ward_id
+      FROM located
+      WHERE p.id = located.id AND p.ward_id IS DISTINCT FROM located.ward_id
+    `, params);
+    return result.rowCount;
+  }
+
+  const problems = await client.query(`
+    SELECT p.id, p.latitude, p.longitude, p.ward_id FROM problems p WHERE ${inAreas}
+  `, params);
+  if (problems.rows.length === 0) {
+    return 0;
+  }
+
+  // Every ward that can contain one of these problems overlaps the union of the areas
+  const wards = await client.query(`
+    SELECT id, boundary FROM wards
+    WHERE max_latitude >= $1 AND min_latitude <= $2 AND max_longitude >= $3 AND min_longitude <= $4
+    ORDER BY id
+  `, [Math.min(...params[0]), Math.max(...params[1]), Math.min(...params[2]), Math.max(...params[3])]);
+  const candidates = wards.rows.map(ward => ({ ...ward, polygons: parseWardGeometry(ward.boundary) || [] }));
+
+  const changes = [];
+  for (const problem of problems.rows) {
+    const lat = parseFloat(problem.latitude);
+    const lng = parseFloat(problem.longitude);
+    const ward = candidates.find(candidate => pointInWardGeometry(lng, lat, candidate.polygons));
+    const wardId = ward ? ward.id : null;
+    if (wardId !== problem.ward_id) {
+      changes.push([problem.id, wardId]);
+    }
+  }
+
+  if (changes.length > 0) {
+    await client.query(`
+      UPDATE problems p SET ward_id = change.ward_id
+      FROM unnest($1::int[], $2::int[]) AS change(id, ward_id)
+      WHERE p.id = change.id
+    `, [changes.map(change => change[0]), changes.map(change => change[1])]);
+  }
+
+  return changes.length;
+}
+
+// Insert or update a ward by name from a GeoJSON feature
+async function upsertWardFromFeature(feature) {
+  const properties = feature.properties || {};
+  const polygons = parseWardGeometry(feature.geometry);
+
+  if (!properties.name) {
+    throw new Error('Every ward feature needs a name property');
+  }
+  if (!polygons) {
+    throw new Error(`Ward "${properties.name}" must have a valid Polygon or MultiPolygon geometry`);
+  }
+
+  const bbox = geometryBoundingBox(polygons);
+  const result = await client.query(`
+    INSERT INTO wards (name, name_en, ward_number, population, officer_id, boundary,
+                       min_latitude, max_latitude, min_longitude, max_longitude)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    ON CONFLICT (name) DO UPDATE SET
+      name_en = EXCLUDED.name_en,
+      ward_number = EXCLUDED.ward_number,
+      population = EXCLUDED.population,
+      officer_id = EXCLUDED.officer_id,
+      boundary = EXCLUDED.boundary,
+      min_latitude = EXCLUDED.min_latitude,
+      max_latitude = EXCLUDED.max_latitude,
+      min_longitude = EXCLUDED.min_longitude,
+      max_longitude = EXCLUDED.max_longitude,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    properties.name, properties.name_en || null, properties.ward_number || null,
+    properties.population || null, properties.officer_id || null, JSON.stringify(feature.geometry),
+    bbox.minLat, bbox.maxLat, bbox.minLng, bbox.maxLng
+  ]);
+
+  const ward = result.rows[0];
+  if (postgisEnabled) {
+    await client.query(`
+      UPDATE wards SET boundary_geom = ST_Multi(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326)) WHERE id = $2
+    `, [JSON.stringify(feature.geometry), ward.id]);
+  }
+  return ward;
+}
+
+// Ward row for the audit log: the bounding box shows a reshape without copying the polygons,
+// and the joined officer name is left out so it does not show up as a change
+function wardAuditSnapshot(ward) {
+  const { boundary, boundary_geom, officer_name, ...rest } = ward;
+  return rest;
+}
+
+function wardToFeature(ward) {
+  return {
+    type: 'Feature',
+    id: ward.id,
+    properties: {
+      name: ward.name,
+      name_en: ward.name_en,
+      ward_number: ward.ward_number,
+      population: ward.population,
+      officer_id: ward.officer_id,
+      officer_name: ward.officer_name || null
+    },
+    geometry: ward.boundary
+  };
+}
+
+// ==================== IMAGE STORAGE ====================
+
+// Images are stored by the SHA-256 of their contents, so identical uploads
+// share one blob and the problems table only keeps the key and mimetype.
+function hashImage(fileBuffer) {
+  return crypto.createHash('sha256').update(fileBuffer).digest('hex');
+}
+
+// Local filesystem driver - blobs live under BLOB_STORE_DIR/ab/cd/<key>
+function createLocalBlobStore(rootDir) {
+  const blobPath = (key) => path.join(rootDir, key.slice(0, 2), key.slice(2, 4), key);
+
+  return {
+    driver: 'local',
+
+    async exists(key) {
+      try {
+        await fs.promises.access(blobPath(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async put(key, fileBuffer) {
+      const target = blobPath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      // Write to a temp file first so a crash never leaves a truncated blob behind
+      const tempPath = `${target}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tempPath, fileBuffer);
+      await fs.promises.rename(tempPath, target);
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(blobPath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(blobPath(key), { force: true });
+    }
+  };
+}
+
+// S3-compatible driver - works with AWS S3 or a local stand-in such as MinIO
+// by pointing S3_ENDPOINT at it and enabling path-style addressing.
+function createS3BlobStore(options) {
+  const {
+    S3Client, HeadObjectCommand, PutObjectCommand, GetObjectCommand, DeleteObjectCommand
+  } = require('@aws-sdk/client-s3');
+
+  if (!options.bucket) {
+    throw new Error('S3_BUCKET is required when BLOB_STORE_DRIVER=s3');
+  }
+
+  const s3 = new S3Client({
+    region: options.region || 'us-east-1',
+    endpoint: options.endpoint || undefined,
+    forcePathStyle: options.forcePathStyle,
+    credentials: options.accessKeyId ? {
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey
+    } : undefined
+  });
+  const objectKey = (key) => `${options.prefix}${key}`;
+  const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+  return {
+    driver: 's3',
+
+    async exists(key) {
+      try {
+        await s3.send(new HeadObjectCommand({ Bucket: options.bucket, Key: objectKey(key) }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async put(key, fileBuffer, mimeType) {
+      await s3.send(new PutObjectCommand({
+        Bucket: options.bucket,
+        Key: objectKey(key),
+        Body: fileBuffer,
+        ContentType: mimeType
+      }));
+    },
+
+    async get(key) {
+      try {
+        const result = await s3.send(new GetObjectCommand({ Bucket: options.bucket, Key: objectKey(key) }));
+        return Buffer.from(await result.Body.transformToByteArray());
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: options.bucket, Key: objectKey(key) }));
+    }
+  };
+}
+
+function createBlobStore() {
+  const driver = (process.env.BLOB_STORE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 'local') {
+    return createLocalBlobStore(path.resolve(process.env.BLOB_STORE_DIR || './storage/blobs'));
+  }
+
+  if (driver === 's3') {
+    return createS3BlobStore({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_KEY_PREFIX || 'images/'
+    });
+  }
+
+  throw new Error(`Unknown BLOB_STORE_DRIVER: ${driver}`);
+}
+
+const blobStore = createBlobStore();
+
+// Resized variants served to list views; 'full' is always the original upload
+const IMAGE_VARIANTS = {
+  thumb: 160,
+  medium: 640
+};
+const VARIANT_MIMETYPE = 'image/jpeg';
+
+// Variants are cached in the blob store under a key derived from the original
+function variantKey(key, size) {
+  return crypto.createHash('sha256').update(`${key}:${size}`).digest('hex');
+}
+
+async function generateImageVariant(key, fileBuffer, size) {
+  const vKey = variantKey(key, size);
+  if (await blobStore.exists(vKey)) {
+    return vKey;
+  }
+
+  const width = IMAGE_VARIANTS[size];
+  const resized = await sharp(fileBuffer)
+    .rotate() // honour EXIF orientation before it is stripped
+    .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+
+  await blobStore.put(vKey, resized, VARIANT_MIMETYPE);
+  return vKey;
+}
+
+// Thumbnail generation should never block an upload; missing variants are built on first request
+async function generateImageVariants(key, fileBuffer) {
+  for (const size of Object.keys(IMAGE_VARIANTS)) {
+    try {
+      await generateImageVariant(key, fileBuffer, size);
+    } catch (error) {
+      console.error(`Image variant (${size}) generation error:`, error);
+    }
+  }
+}
+
+// Store an uploaded image and return the reference saved on the problem row
+async function storeImage(fileBuffer, mimeType) {
+  try {
+    const key = hashImage(fileBuffer);
+    if (!(await blobStore.exists(key))) {
+      await blobStore.put(key, fileBuffer, mimeType);
+    }
+    await generateImageVariants(key, fileBuffer);
+    return { key, mimeType };
+  } catch (error) {
+    console.error('Image storage error:', error);
+    throw new Error('Failed to store image');
+  }
+}
+
+// Image links in problem responses are signed, so they work in <img src> without an
+// Authorization header. The expiry is rounded up to whole windows: a link stays the same
+// (and browser-cacheable) for a while and is valid for at least one full window.
+const IMAGE_URL_TTL_MINUTES = parseInt(process.env.IMAGE_URL_TTL_MINUTES) || 60;
+
+function imageUrlSignature(problemId, kind, size, expires) {
+  return crypto.createHmac('sha256', JWT_SECRET)
+    .update(`problem-image:${problemId}:${kind}:${size}:${expires}`)
+    .digest('hex');
+}
+
+function signedImageUrl(problemId, kind, size) {
+  const windowSeconds = IMAGE_URL_TTL_MINUTES * 60;
+  const expires = (Math.floor(Date.now() / 1000 / windowSeconds) + 2) * windowSeconds;
+  const signature = imageUrlSignature(problemId, kind, size, expires);
+  return `/api/problems/${problemId}/images/${kind}?size=${size}&expires=${expires}&signature=${signature}`;
+}
+
+function isValidImageSignature({ problem_id, kind }, { size = 'full', expires, signature }) {
+  const expiresAt = parseInt(expires);
+  if (isNaN(expiresAt) || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(imageUrlSignature(parseInt(problem_id), kind, size, expiresAt), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Strip legacy base64 columns from API responses and expose image availability and URLs instead
+function formatProblem(problem) {
+  const { user_image_base64, admin_image_base64, ...rest } = problem;
+  const imageUrl = (kind, key, size) => key ? signedImageUrl(problem.id, kind, size) : null;
+  return {
+    ...rest,
+    user_image_status: problem.user_image_key || user_image_base64 ? 'image_available' : null,
+    admin_image_status: problem.admin_image_key || admin_image_base64 ? 'image_available' : null,
+    user_image_url: imageUrl('user', problem.user_image_key, 'full'),
+    user_thumbnail_url: imageUrl('user', problem.user_image_key, 'thumb'),
+    admin_image_url: imageUrl('admin', problem.admin_image_key, 'full'),
+    admin_thumbnail_url: imageUrl('admin', problem.admin_image_key, 'thumb'),
+    reopen_image_url: imageUrl('reopen', problem.reopen_image_key, 'full')
+  };
+}
+
+// One-time migration: move base64 images still stored in Postgres into the blob store.
+// Runs in small batches so large tables do not have to be loaded into memory at once.
+async function migrateBase64ImagesToBlobStore() {
+  const batchSize = 25;
+  let migrated = 0;
+
+  try {
+    for (const kind of ['user', 'admin']) {
+      while (true) {
+        const batch = await client.query(`
+          SELECT id, ${kind}_image_base64 AS image_base64, ${kind}_image_mimetype AS image_mimetype
+          FROM problems
+          WHERE ${kind}_image_base64 IS NOT NULL
+          ORDER BY id
+          LIMIT $1
+        `, [batchSize]);
+
+        if (batch.rows.length === 0) {
+          break;
+        }
+
+        for (const row of batch.rows) {
+          const stored = await storeImage(Buffer.from(row.image_base64, 'base64'), row.image_mimetype);
+          await client.query(`
+            UPDATE problems
+            SET ${kind}_image_key = $1, ${kind}_image_base64 = NULL
+            WHERE id = $2
+          `, [stored.key, row.id]);
+          migrated++;
+        }
+      }
+    }
+
+    if (migrated > 0) {
+      console.log(`Migrated ${migrated} base64 images to the ${blobStore.driver} blob store`);
+    }
+  } catch (error) {
+    console.error('Image migration error:', error);
+    throw error;
+  }
+}
+
+// ==================== SESSIONS ====================
+
+// Short-lived access token for one session (sid). ver is the user's token_version,
+// which is bumped to invalidate every token at once.
+function generateToken(user, sessionId) {
+  return jwt.sign(
+    { 
+      id: user.id, 
+      email: user.email, 
+      role: user.role,
+      department: user.department,
+      sid: sessionId,
+      ver: user.token_version || 0,
+      type: 'access'
+    },
+    JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+  );
+}
+
+// EventSource cannot send headers, so the event stream is opened with a token in the URL.
+// This one expires within a minute and no other route accepts it, so a URL that ends up
+// in a proxy or server log is of no use afterwards.
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
+function generateStreamToken(user) {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      department: user.department,
+      sid: user.sid,
+      ver: user.ver || 0,
+      type: 'event-stream'
+    },
+    JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_TTL_SECONDS }
+  );
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue an access token and a refresh token, starting a new session unless one is given
+// (refresh rotation keeps the session). Only the refresh token's hash is stored.
+async function issueSession(user, req, sessionId = crypto.randomUUID()) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  // Expired tokens are no longer needed for reuse detection
+  await client.query('DELETE FROM refresh_tokens WHERE user_id = $1 AND expires_at < NOW()', [user.id]);
+
+  const result = await client.query(`
+    INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at, user_agent, ip_address)
+    VALUES ($1, $2, $3, NOW() + make_interval(days => $4::int), $5, $6)
+    RETURNING id, expires_at
+  `, [user.id, sessionId, hashRefreshToken(refreshToken), REFRESH_TOKEN_TTL_DAYS,
+    (req.headers['user-agent'] || '').slice(0, 255) || null, req.ip || null]);
+
+  return {
+    refreshTokenId: result.rows[0].id,
+    tokens: {
+      token: generateToken(user, sessionId),
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL_MINUTES * 60,
+      refresh_token: refreshToken,
+      refresh_token_expires_at: result.rows[0].expires_at
+    }
+  };
+}
+
+// End sessions matching a condition on refresh_tokens; returns how many sessions ended
+async function revokeSessions(condition, params, reason) {
+  params.push(reason);
+  const result = await client.query(`
+    UPDATE refresh_tokens
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $${params.length}
+    WHERE ${condition} AND ${ACTIVE_SESSION_SQL}
+    RETURNING session_id
+  `, params);
+  return new Set(result.rows.map(row => row.session_id)).size;
+}
+
+// Log a user out everywhere: ends all sessions and invalidates every access token
+// already issued. Used for logout-all, deactivation and role or department changes.
+async function revokeUserSessions(userId, reason) {
+  await client.query(`
+    UPDATE users SET token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1
+  `, [userId]);
+  return revokeSessions('user_id = $1', [userId], reason);
+}
+
+// ==================== AADHAAR PROTECTION ====================
+
+// Aadhaar numbers are stored AES-256-GCM encrypted, with an HMAC for the uniqueness check
+// and the last 4 digits for masking. Both keys are derived from AADHAAR_ENCRYPTION_KEY
+// (32 bytes, hex or base64); without it a development key is derived from JWT_SECRET.
+function loadAadhaarKeys() {
+  const raw = process.env.AADHAAR_ENCRYPTION_KEY;
+  let master;
+
+  if (raw) {
+    master = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    if (master.length !== 32) {
+      throw new Error('AADHAAR_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+    }
+  } else {
+    master = crypto.createHash('sha256').update(`aadhaar-dev-key:${JWT_SECRET}`).digest();
+  }
+
+  return {
+    configured: Boolean(raw),
+    encryption: Buffer.from(crypto.hkdfSync('sha256', master, Buffer.alloc(0), 'aadhaar-encryption', 32)),
+    lookup: Buffer.from(crypto.hkdfSync('sha256', master, Buffer.alloc(0), 'aadhaar-lookup', 32))
+  };
+}
+
+const aadhaarKeys = loadAadhaarKeys();
+
+// "v1.<iv>.<auth tag>.<ciphertext>", base64url parts
+function encryptAadhaar(aadhar) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', aadhaarKeys.encryption, iv);
+  const ciphertext = Buffer.concat([cipher.update(aadhar, 'utf8'), cipher.final()]);
+  return ['v1', ...[iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url'))].join('.');
+}
+
+function decryptAadhaar(value) {
+  const [version, iv, tag, ciphertext] = value.split('.');
+  if (version !== 'v1') {
+    throw new Error('Unsupported Aadhaar encryption format');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', aadhaarKeys.encryption, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+function hashAadhaar(aadhar) {
+  return crypto.createHmac('sha256', aadhaarKeys.lookup).update(aadhar).digest('hex');
+}
+
+// Values for the aadhar_encrypted, aadhar_hash and aadhar_last4 columns
+function protectAadhaar(aadhar) {
+  return { encrypted: encryptAadhaar(aadhar), hash: hashAadhaar(aadhar), last4: aadhar.slice(-4) };
+}
+
+// The only form of an Aadhaar number that API responses contain
+function maskAadhaar(last4) {
+  return last4 ? `XXXX-XXXX-${last4}` : null;
+}
+
+// One-time migration: encrypt plaintext Aadhaar numbers and clear the old column
+async function migrateAadhaarEncryption() {
+  const batchSize = 100;
+  let migrated = 0;
+
+  try {
+    while (true) {
+      const batch = await client.query(`
+        SELECT id, aadhar FROM users
+        WHERE aadhar IS NOT NULL
+        ORDER BY id
+        LIMIT $1
+      `, [batchSize]);
+
+      if (batch.rows.length === 0) {
+        break;
+      }
+
+      for (const row of batch.rows) {
+        const protectedAadhaar = protectAadhaar(row.aadhar);
+        await client.query(`
+          UPDATE users
+          SET aadhar_encrypted = $1, aadhar_hash = $2, aadhar_last4 = $3, aadhar = NULL
+          WHERE id = $4
+        `, [protectedAadhaar.encrypted, protectedAadhaar.hash, protectedAadhaar.last4, row.id]);
+        migrated++;
+      }
+    }
+
+    if (migrated > 0) {
+      console.log(`Encrypted ${migrated} plaintext Aadhaar numbers`);
+    }
+  } catch (error) {
+    console.error('Aadhaar migration error:', error);
+    throw error;
+  }
+}
+
+// ==================== MESSAGE DELIVERY ====================
+
+// Outgoing email and SMS (verification codes, password resets). EMAIL_TRANSPORT and
+// SMS_TRANSPORT pick the adapter; console and file are meant for local development.
+function createConsoleTransport(channel) {
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      console.log(`📨 [${channel}] to ${to}${subject ? ` (${subject})` : ''}: ${text}`);
+    }
+  };
+}
+
+// Appends one JSON line per message, so tests and developers can read the codes back
+function createFileTransport(channel, filePath) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, JSON.stringify({ channel, ...message, sent_at: new Date().toISOString() }) + '\n');
+    }
+  };
+}
+
+function createSmtpTransport(options) {
+  if (!options.host) {
+    throw new Error('SMTP_HOST is required when EMAIL_TRANSPORT=smtp');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text }) {
+      await transporter.sendMail({ from: options.from, to, subject, text });
+    }
+  };
+}
+
+// Generic SMS gateway adapter: POSTs { to, message, sender } as JSON to SMS_API_URL
+function createHttpSmsTransport(options) {
+  if (!options.url) {
+    throw new Error('SMS_API_URL is required when SMS_TRANSPORT=http');
+  }
+
+  return {
+    name: 'http',
+    async send({ to, text }) {
+      const response = await fetch(options.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {})
+        },
+        body: JSON.stringify({ to: `${options.countryCode}${to}`, message: text, sender: options.sender }),
+        signal: AbortSignal.timeout(10000)
+      });
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+      }
+    }
+  };
+}
+
+function createMessageTransport(channel) {
+  const prefix = channel.toUpperCase();
+  const driver = (process.env[`${prefix}_TRANSPORT`] || 'console').toLowerCase();
+
+  if (driver === 'console') {
+    return createConsoleTransport(channel);
+  }
+
+  if (driver === 'file') {
+    return createFileTransport(channel, path.resolve(process.env[`${prefix}_TRANSPORT_FILE`] || `./storage/outbox/${channel}.log`));
+  }
+
+  if (channel === 'email' && driver === 'smtp') {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+      from: process.env.SMTP_FROM || 'no-reply@vikshit-bharat.local'
+    });
+  }
+
+  if (channel === 'sms' && driver === 'http') {
+    return createHttpSmsTransport({
+      url: process.env.SMS_API_URL,
+      apiKey: process.env.SMS_API_KEY,
+      sender: process.env.SMS_SENDER_ID,
+      countryCode: process.env.SMS_COUNTRY_CODE || '+91'
+    });
+  }
+
+  throw new Error(`Unknown ${prefix}_TRANSPORT: ${driver}`);
+}
+
+// Drivers that only write messages somewhere local; fine for development, refused in production
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+const messageTransports = {
+  email: createMessageTransport('email'),
+  sms: createMessageTransport('sms')
+};
+
+// ==================== ACCOUNT VERIFICATION ====================
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+const OTP_MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR) || 5;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const PASSWORD_RESET_MAX_PER_HOUR = 3;
+
+// A verification channel: the users column holding the address, its flag and how to reach it
+const VERIFICATION_CHANNELS = {
+  email: { field: 'email', flag: 'email_verified', transport: 'email', label: 'email address' },
+  phone: { field: 'phone_number', flag: 'phone_verified', transport: 'sms', label: 'phone number' }
+};
+
+function hashPasswordResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Codes are short, so they are stored as an HMAC rather than a plain hash
+function hashVerificationCode(userId, channel, code) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(`${userId}:${channel}:${code}`).digest('hex');
+}
+
+// Send a one-time code to the user's current email or phone. Returns { error, statusCode,
+// retryAfter } when the user asks too often.
+async function sendVerificationCode(user, channel) {
+  const { field, transport } = VERIFICATION_CHANNELS[channel];
+
+  const recent = await client.query(`
+    SELECT COUNT(*)::int AS sent_last_hour,
+      EXTRACT(EPOCH FROM (MAX(created_at) + make_interval(secs => $3::int) - NOW()))::int AS wait_seconds
+    FROM verification_codes
+    WHERE user_id = $1 AND channel = $2 AND created_at > NOW() - INTERVAL '1 hour'
+  `, [user.id, channel, OTP_RESEND_SECONDS]);
+  const { sent_last_hour, wait_seconds } = recent.rows[0];
+
+  if (wait_seconds > 0) {
+    return { statusCode: 429, error: `Please wait ${wait_seconds} seconds before requesting another code`, retryAfter: wait_seconds };
+  }
+  if (sent_last_hour >= OTP_MAX_PER_HOUR) {
+    return { statusCode: 429, error: 'Too many codes requested, please try again later', retryAfter: 3600 };
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+
+  // Only the newest code is valid
+  await client.query(`
+    UPDATE verification_codes SET expires_at = NOW()
+    WHERE user_id = $1 AND channel = $2 AND consumed_at IS NULL AND expires_at > NOW()
+  `, [user.id, channel]);
+  const inserted = await client.query(`
+    INSERT INTO verification_codes (user_id, channel, destination, code_hash, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5::int))
+    RETURNING id, expires_at
+  `, [user.id, channel, user[field], hashVerificationCode(user.id, channel, code), OTP_TTL_MINUTES]);
+
+  try {
+    await messageTransports[transport].send({
+      to: user[field],
+      subject: 'Your verification code',
+      text: `Your Vikshit Bharat verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`
+    });
+  } catch (error) {
+    await client.query('DELETE FROM verification_codes WHERE id = $1', [inserted.rows[0].id]);
+    throw error;
+  }
+
+  return { sent_to: maskDestination(channel, user[field]), expires_at: inserted.rows[0].expires_at };
+}
+
+// Check a code against the newest one sent; marks the channel verified on success
+async function confirmVerificationCode(user, channel, code) {
+  const { field, flag, label } = VERIFICATION_CHANNELS[channel];
+
+  const result = await client.query(`
+    SELECT id, destination, code_hash, attempts FROM verification_codes
+    WHERE user_id = $1 AND channel = $2 AND consumed_at IS NULL AND expires_at > NOW()
+    ORDER BY created_at DESC LIMIT 1
+  `, [user.id, channel]);
+
+  if (result.rows.length === 0) {
+    return { statusCode: 400, error: 'No active verification code, please request a new one' };
+  }
+
+  const stored = result.rows[0];
+  if (stored.attempts >= OTP_MAX_ATTEMPTS) {
+    return { statusCode: 429, error: 'Too many wrong attempts, please request a new code' };
+  }
+  if (stored.destination !== user[field]) {
+    return { statusCode: 400, error: `Your ${label} changed since the code was sent, please request a new one` };
+  }
+
+  await client.query('UPDATE verification_codes SET attempts = attempts + 1 WHERE id = $1', [stored.id]);
+
+  const expected = Buffer.from(stored.code_hash, 'hex');
+  const actual = Buffer.from(hashVerificationCode(user.id, channel, String(code)), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return { statusCode: 400, error: 'Invalid verification code', attempts_left: OTP_MAX_ATTEMPTS - stored.attempts - 1 };
+  }
+
+  await client.query('UPDATE verification_codes SET consumed_at = CURRENT_TIMESTAMP WHERE id = $1', [stored.id]);
+  await client.query(`
+    UPDATE users SET ${flag} = true, ${flag}_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1
+  `, [user.id]);
+
+  return { verified: true };
+}
+
+// Filing or backing a complaint needs a confirmed email address or phone number, so staff can
+// follow up with the citizen; REQUIRE_VERIFIED_CONTACT=false turns the check off
+const VERIFIED_CONTACT_REQUIRED = process.env.REQUIRE_VERIFIED_CONTACT !== 'false';
+
+const requireVerifiedContact = async (req, res, next) => {
+  if (!VERIFIED_CONTACT_REQUIRED) return next();
+  try {
+    const result = await client.query('SELECT email_verified, phone_verified FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0];
+    if (!user || !(user.email_verified || user.phone_verified)) {
+      return res.status(403).json({
+        error: 'Verify your email address or phone number before submitting or supporting complaints',
+        code: 'CONTACT_NOT_VERIFIED'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Contact verification check error:', error);
+    res.status(500).json({ error: 'Failed to check contact verification', details: error.message });
+  }
+};
+
+// "r***@example.com" / "******3210", so responses confirm where a code went without repeating it
+function maskDestination(channel, value) {
+  if (channel === 'phone') {
+    return value.slice(-4).padStart(value.length, '*');
+  }
+  const [local, domain] = value.split('@');
+  return `${local[0]}***@${domain}`;
+}
+
+// ==================== LOGIN LOCKOUT ====================
+
+// Failed logins lock the account (or the client IP) once a threshold is reached. Each
+// further failure doubles the lock, up to LOCKOUT_MAX_MINUTES.
+const LOCKOUT_ACCOUNT_THRESHOLD = parseInt(process.env.LOCKOUT_ACCOUNT_THRESHOLD) || 5;
+const LOCKOUT_IP_THRESHOLD = parseInt(process.env.LOCKOUT_IP_THRESHOLD) || 20;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 1;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOCKOUT_MAX_MINUTES) || 60;
+const LOCKOUT_WINDOW_HOURS = 24;
+
+function lockoutMinutes(failures, threshold) {
+  if (failures < threshold) {
+    return 0;
+  }
+  return Math.min(LOCKOUT_BASE_MINUTES * 2 ** (failures - threshold), LOCKOUT_MAX_MINUTES);
+}
+
+// Returns { scope, retryAfter } while the account or IP is locked, otherwise null.
+// A successful login or password reset clears the account's failures; IP failures
+// only age out, so logging into one account does not unlock guessing at others.
+async function checkLoginLockout(email, ipAddress) {
+  const result = await client.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE email = $1 AND created_at > COALESCE(
+        (SELECT MAX(created_at) FROM login_attempts WHERE email = $1 AND outcome <> 'failure'), '-infinity'
+      ))::int AS account_failures,
+      MAX(created_at) FILTER (WHERE email = $1) AS account_last_failure,
+      COUNT(*) FILTER (WHERE ip_address = $2)::int AS ip_failures,
+      MAX(created_at) FILTER (WHERE ip_address = $2) AS ip_last_failure
+    FROM login_attempts
+    WHERE outcome = 'failure' AND (email = $1 OR ip_address = $2)
+      AND created_at > NOW() - make_interval(hours => $3::int)
+  `, [email, ipAddress, LOCKOUT_WINDOW_HOURS]);
+  const row = result.rows[0];
+
+  const locks = [
+    { scope: 'account', minutes: lockoutMinutes(row.account_failures, LOCKOUT_ACCOUNT_THRESHOLD), last: row.account_last_failure },
+    { scope: 'ip', minutes: lockoutMinutes(row.ip_failures, LOCKOUT_IP_THRESHOLD), last: row.ip_last_failure }
+  ]
+    .filter(lock => lock.minutes > 0)
+    .map(lock => ({
+      scope: lock.scope,
+      retryAfter: Math.ceil((new Date(lock.last).getTime() + lock.minutes * 60000 - Date.now()) / 1000)
+    }))
+    .filter(lock => lock.retryAfter > 0)
+    .sort((a, b) => b.retryAfter - a.retryAfter);
+
+  return locks[0] || null;
+}
+
+async function recordLoginAttempt(email, ipAddress, outcome) {
+  await client.query(`
+    INSERT INTO login_attempts (email, ip_address, outcome) VALUES ($1, $2, $3)
+  `, [email, ipAddress, outcome]);
+
+  if (outcome !== 'failure') {
+    await client.query(`
+      DELETE FROM login_attempts WHERE created_at < NOW() - make_interval(hours => $1::int)
+    `, [LOCKOUT_WINDOW_HOURS]);
+  }
+}
+
+// ==================== STAFF INVITES ====================
+
+// Staff accounts are only created by redeeming an invite; public registration makes citizens
+const STAFF_INVITE_ROLES = ['field-worker', 'department-head', 'district-magistrate'];
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS) || 72;
+const INVITE_MAX_TTL_HOURS = 30 * 24;
+
+// Field checks shared by public registration and invite redemption
+function validateRegistrationFields({ name, email, phone_number, aadhar, password }) {
+  if (!name || !email || !phone_number || !aadhar || !password) {
+    return { error: 'All fields are required: name, email, phone_number, aadhar, password' };
+  }
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    return { error: 'Invalid email format' };
+  }
+
+  const phoneRegex = /^\d{10}$/;
+  if (!phoneRegex.test(phone_number)) {
+    return { error: 'Phone number must be exactly 10 digits' };
+  }
+
+  const aadharRegex = /^\d{12}$/;
+  if (!aadharRegex.test(aadhar)) {
+    return { error: 'Aadhar must be exactly 12 digits' };
+  }
+
+  return null;
+}
+
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue an invite and its signed token. The token is only ever returned here; the
+// table keeps its hash, so a leaked database cannot be used to redeem invites.
+async function createStaffInvite({ email, role, department, specializations, ttlHours, invitedById }) {
+  const inviteResult = await client.query(`
+    INSERT INTO staff_invites (email, role, department, specializations, invited_by_id, expires_at)
+    VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(hours => $6::int))
+    RETURNING *
+  `, [email.toLowerCase(), role, department || null, specializations || null, invitedById, ttlHours]);
+  const invite = inviteResult.rows[0];
+
+  const token = jwt.sign(
+    { invite_id: invite.id, purpose: 'staff-invite' },
+    JWT_SECRET,
+    { expiresIn: `${ttlHours}h` }
+  );
+  await client.query('UPDATE staff_invites SET token_hash = $1 WHERE id = $2', [hashInviteToken(token), invite.id]);
+
+  return { invite, token };
+}
+
+// Check a token's signature and expiry and that its invite is still open
+async function findRedeemableInvite(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return { statusCode: 400, error: error.name === 'TokenExpiredError' ? 'Invite has expired' : 'Invalid invite token' };
+  }
+
+  if (payload.purpose !== 'staff-invite') {
+    return { statusCode: 400, error: 'Invalid invite token' };
+  }
+
+  const result = await client.query(`
+    SELECT * FROM staff_invites WHERE id = $1 AND token_hash = $2
+  `, [payload.invite_id, hashInviteToken(token)]);
+  const invite = result.rows[0];
+
+  if (!invite) {
+    return { statusCode: 400, error: 'Invalid invite token' };
+  }
+  if (invite.revoked_at) {
+    return { statusCode: 410, error: 'Invite has been revoked' };
+  }
+  if (invite.redeemed_at) {
+    return { statusCode: 410, error: 'Invite has already been used' };
+  }
+  if (new Date(invite.expires_at) <= new Date()) {
+    return { statusCode: 410, error: 'Invite has expired' };
+  }
+
+  return { invite };
+}
+
+function inviteStatus(invite) {
+  if (invite.revoked_at) {
+    return 'revoked';
+  }
+  if (invite.redeemed_at) {
+    return 'redeemed';
+  }
+  return new Date(invite.expires_at) <= new Date() ? 'expired' : 'pending';
+}
+
+function formatInvite(invite) {
+  const { token_hash, ...rest } = invite;
+  return { ...rest, status: inviteStatus(invite) };
+}
+
+// Without a district magistrate nobody can issue invites, so a fresh install gets one
+// magistrate invite for BOOTSTRAP_ADMIN_EMAIL, printed once to the console
+async function bootstrapFirstMagistrate() {
+  const email = process.env.BOOTSTRAP_ADMIN_EMAIL;
+  if (!email) {
+    return;
+  }
+
+  const existing = await client.query(`
+    SELECT
+      (SELECT COUNT(*) FROM users WHERE role = 'district-magistrate' AND is_active = true)::int AS magistrates,
+      (SELECT COUNT(*) FROM staff_invites
+       WHERE role = 'district-magistrate' AND email = $1
+         AND redeemed_at IS NULL AND revoked_at IS NULL AND expires_at > NOW())::int AS open_invites
+  `, [email.toLowerCase()]);
+
+  if (existing.rows[0].magistrates > 0 || existing.rows[0].open_invites > 0) {
+    return;
+  }
+
+  const { token } = await createStaffInvite({
+    email,
+    role: 'district-magistrate',
+    ttlHours: INVITE_TTL_HOURS,
+    invitedById: null
+  });
+  console.log(`🔑 No district magistrate yet - redeem this invite for ${email} at POST /api/users/invites/redeem:`);
+  console.log(`   ${token}`);
+}
+
+// ==================== AUDIT LOG ====================
+
+// Every mutating API request is recorded in audit_log once its response is sent.
+// Routes that change a stored record attach before/after snapshots with auditChange().
+// Rows are append-only (enforced by a trigger) and hash-chained: each row's hash covers
+// its content and the previous row's hash, so edits or deletions break the chain.
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// POST routes that only read, and token refreshes and stream tokens, which clients fetch
+// every few minutes
+const AUDIT_SKIPPED_ACTIONS = [
+  'POST /api/analyze-image',
+  'POST /api/problems/duplicates',
+  'POST /api/users/refresh',
+  'POST /api/events/token'
+];
+
+const AUDIT_REDACTED_FIELDS = ['password', 'token', 'refresh_token', 'code', 'aadhar', 'aadhaar', 'aadhar_encrypted', 'aadhar_hash'];
+
+// Route parameters that name the entity an action applies to
+const AUDIT_ENTITY_PARAMS = {
+  problem_id: 'problem',
+  user_id: 'user',
+  worker_id: 'worker',
+  dept_id: 'department',
+  route_id: 'category-route',
+  ward_id: 'ward',
+  policy_id: 'sla-policy',
+  invite_id: 'invite',
+  notification_id: 'notification'
+};
+
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+// Copy of a request body or record that is safe to store: secrets redacted, long arrays summarized
+function sanitizeForAudit(value, depth = 0) {
+  // JSONB cannot hold NUL characters; left in, they would make the entry fail to write
+  if (typeof value === 'string') {
+    return value.replace(/\u0000/g, '');
+  }
+  if (Array.isArray(value)) {
+    return value.length > 50 ? `[${value.length} items]` : value.map(item => sanitizeForAudit(item, depth + 1));
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value === 'object') {
+    if (depth > 4) {
+      return '[nested]';
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, AUDIT_REDACTED_FIELDS.includes(key) ? '[REDACTED]' : sanitizeForAudit(item, depth + 1)]));
+  }
+  return value;
+}
+
+// Fields whose values differ between two snapshots: { field: { from, to } }
+function auditDiff(before, after) {
+  if (!before || !after) {
+    return null;
+  }
+
+  const diff = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (key === 'updated_at') {
+      continue;
+    }
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      diff[key] = { from: before[key] ?? null, to: after[key] ?? null };
+    }
+  }
+  return diff;
+}
+
+// Attach the changed entity to the request so the audit entry can record it
+function auditChange(req, entityType, entityId, before, after) {
+  req.audit = { entityType, entityId: entityId == null ? null : String(entityId), before, after };
+}
+
+// The problem fields that lifecycle and admin actions change; images and text stay out of the log
+const AUDITED_PROBLEM_FIELDS = [
+  'status', 'priority', 'assigned_department', 'assigned_worker_id', 'accepted_at', 'needs_triage',
+  'parent_problem_id', 'support_count', 'citizen_rating', 'reopen_count', 'sla_due_at'
+];
+
+function problemAuditSnapshot(problem) {
+  return Object.fromEntries(AUDITED_PROBLEM_FIELDS.map(field => [field, problem[field] ?? null]));
+}
+
+// JSON with object keys sorted, so a row hashes the same after a JSONB round trip
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const AUDIT_HASHED_FIELDS = [
+  'created_at', 'actor_id', 'actor_role', 'action', 'entity_type', 'entity_id',
+  'status_code', 'request_body', 'before', 'after', 'diff', 'ip_address', 'user_agent'
+];
+
+function auditEntryHash(prevHash, entry) {
+  const content = AUDIT_HASHED_FIELDS.map(field =>
+    field === 'created_at' ? new Date(entry.created_at).toISOString() : entry[field]);
+  return crypto.createHash('sha256').update(prevHash + canonicalJson(content)).digest('hex');
+}
+
+// Entries are written one at a time so each sees the previous row's hash
+let auditWriteQueue = Promise.resolve();
+
+// A failed write leaves no trace in the chain, so failures are counted and reported by
+// /health and GET /api/admin/audit/verify
+const auditWriteFailures = { count: 0, last_error: null, last_failed_at: null, last_action: null };
+
+function appendAuditEntry(entry) {
+  auditWriteQueue = auditWriteQueue.then(async () => {
+    const last = await client.query('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1');
+    const prevHash = last.rows.length > 0 ? last.rows[0].hash : AUDIT_GENESIS_HASH;
+    // Stored JSON is hashed as it will read back: plain JSON values, no undefined
+    const row = { ...entry, created_at: new Date().toISOString() };
+    for (const field of ['request_body', 'before', 'after', 'diff']) {
+      row[field] = row[field] == null ? null : JSON.parse(JSON.stringify(row[field]));
+    }
+
+    await client.query(`
+      INSERT INTO audit_log (
+        created_at, actor_id, actor_role, action, entity_type, entity_id, status_code,
+        request_body, before, after, diff, ip_address, user_agent, prev_hash, hash
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    `, [
+      row.created_at, row.actor_id, row.actor_role, row.action, row.entity_type, row.entity_id, row.status_code,
+      ...['request_body', 'before', 'after', 'diff'].map(field => row[field] === null ? null : JSON.stringify(row[field])),
+      row.ip_address, row.user_agent, prevHash, auditEntryHash(prevHash, row)
+    ]);
+  }).catch(error => {
+    console.error('Audit log write error:', error);
+    auditWriteFailures.count += 1;
+    auditWriteFailures.last_error = error.message;
+    auditWriteFailures.last_failed_at = new Date().toISOString();
+    auditWriteFailures.last_action = entry.action;
+  });
+  return auditWriteQueue;
+}
+
+// Records successful mutating requests, and requests refused for lack of permission
+function auditTrail(req, res, next) {
+  if (!AUDITED_METHODS.includes(req.method) || !req.path.startsWith('/api/')) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    // Unmatched paths have no route; failed requests changed nothing
+    if (!req.route || (res.statusCode >= 400 && res.statusCode !== 403)) {
+      return;
+    }
+
+    const action = `${req.method} ${req.route.path}`;
+    if (AUDIT_SKIPPED_ACTIONS.includes(action)) {
+      return;
+    }
+
+    const entityParam = Object.keys(req.params).find(param => AUDIT_ENTITY_PARAMS[param]);
+    const audit = req.audit || {
+      entityType: entityParam ? AUDIT_ENTITY_PARAMS[entityParam] : null,
+      entityId: entityParam ? req.params[entityParam] : null
+    };
+    const before = audit.before ? sanitizeForAudit(audit.before) : null;
+    const after = audit.after ? sanitizeForAudit(audit.after) : null;
+
+    appendAuditEntry({
+      actor_id: req.user ? req.user.id : null,
+      actor_role: req.user ? req.user.role : null,
+      action,
+      entity_type: audit.entityType || null,
+      entity_id: audit.entityId || null,
+      status_code: res.statusCode,
+      request_body: req.body && Object.keys(req.body).length > 0 ? sanitizeForAudit(req.body) : null,
+      before,
+      after,
+      diff: auditDiff(before, after),
+      ip_address: req.ip || null,
+      user_agent: (req.headers['user-agent'] || '').slice(0, 255) || null
+    });
+  });
+
+  next();
+}
+
+app.use(auditTrail);
+
+// Recompute the hash chain over a range of entries; reports the first entry that does not match
+async function verifyAuditChain(fromId = 1, limit = 10000) {
+  const previous = await client.query('SELECT hash FROM audit_log WHERE id < $1 ORDER BY id DESC LIMIT 1', [fromId]);
+  let prevHash = previous.rows.length > 0 ? previous.rows[0].hash : AUDIT_GENESIS_HASH;
+
+  const result = await client.query('SELECT * FROM audit_log WHERE id >= $1 ORDER BY id LIMIT $2', [fromId, limit]);
+  for (const row of result.rows) {
+    if (row.prev_hash !== prevHash) {
+      return { valid: false, checked: result.rows.indexOf(row), broken_at_id: row.id, reason: 'Previous entry is missing or was changed' };
+    }
+    if (auditEntryHash(prevHash, row) !== row.hash) {
+      return { valid: false, checked: result.rows.indexOf(row), broken_at_id: row.id, reason: 'Entry content was changed' };
+    }
+    prevHash = row.hash;
+  }
+
+  return {
+    valid: true,
+    checked: result.rows.length,
+    last_id: result.rows.length > 0 ? result.rows[result.rows.length - 1].id : null
+  };
+}
+
+// ==================== USER AUTHENTICATION ROUTES ====================
+
+// User Registration
+app.post('/api/users/register', async (req, res) => {
+  try {
+    const { name, email, phone_number, aadhar, password, address, role } = req.body;
+
+    // Staff roles come only from invites (POST /api/users/invites/redeem)
+    if (role && role !== 'citizen') {
+      return res.status(403).json({ error: 'Staff accounts can only be created from an invite' });
+    }
+
+    const validationError = validateRegistrationFields(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    // Hash password
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    // Check if user already exists
+    const existingUser = await client.query(`
+      SELECT id FROM users 
+      WHERE email = $1 OR phone_number = $2 OR aadhar_hash = $3
+    `, [email, phone_number, hashAadhaar(aadhar)]);
+
+    if (existingUser.rows.length > 0) {
+      return res.status(409).json({ error: 'User already exists with this email, phone, or aadhar' });
+    }
+
+    // Create new user
+    const protectedAadhaar = protectAadhaar(aadhar);
+    const result = await client.query(`
+      INSERT INTO users (name, email, phone_number, aadhar_encrypted, aadhar_hash, aadhar_last4, password, address, role, department)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'citizen', NULL)
+      RETURNING id, name, email, phone_number, aadhar_last4, role, department, created_at
+    `, [name, email, phone_number, protectedAadhaar.encrypted, protectedAadhaar.hash, protectedAadhaar.last4,
+      hashedPassword, address]);
+
+    const user = result.rows[0];
+    const { tokens } = await issueSession(user, req);
+    auditChange(req, 'user', user.id, null, user);
+
+    // Start email and phone verification; a delivery failure does not fail registration
+    const verification = {};
+    for (const channel of Object.keys(VERIFICATION_CHANNELS)) {
+      try {
+        const sent = await sendVerificationCode(user, channel);
+        verification[channel] = sent.error ? { status: 'not_sent', error: sent.error } : { status: 'sent', ...sent };
+      } catch (error) {
+        console.error(`Send ${channel} verification code error:`, error);
+        verification[channel] = { status: 'not_sent', error: 'Could not deliver the code, request a new one' };
+      }
+    }
+
+    res.status(201).json({ 
+      message: 'User registered successfully',
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        phone_number: user.phone_number,
+        aadhar: maskAadhaar(user.aadhar_last4),
+        role: user.role,
+        department: user.department,
+        email_verified: false,
+        phone_verified: false,
+        created_at: user.created_at
+      },
+      verification,
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Registration failed', details: error.message });
+  }
+});
+
+// Redeem Staff Invite (creates the staff account)
+app.post('/api/users/invites/redeem', async (req, res) => {
+  try {
+    const { token, name, phone_number, aadhar, password, address } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Invite token is required' });
+    }
+
+    const { invite, statusCode, error } = await findRedeemableInvite(token);
+    if (error) {
+      return res.status(statusCode).json({ error });
+    }
+
+    // The email comes from the invite, so it cannot be swapped at redemption
+    const email = invite.email;
+    const validationError = validateRegistrationFields({ name, email, phone_number, aadhar, password });
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const existingUser = await client.query(`
+      SELECT id FROM users 
+      WHERE email = $1 OR phone_number = $2 OR aadhar_hash = $3
+    `, [email, phone_number, hashAadhaar(aadhar)]);
+
+    if (existingUser.rows.length > 0) {
+      return res.status(409).json({ error: 'User already exists with this email, phone, or aadhar' });
+    }
+
+    // Claim the invite first so two simultaneous redemptions cannot both succeed
+    const claimed = await client.query(`
+      UPDATE staff_invites SET redeemed_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND redeemed_at IS NULL AND revoked_at IS NULL
+      RETURNING id
+    `, [invite.id]);
+
+    if (claimed.rows.length === 0) {
+      return res.status(410).json({ error: 'Invite has already been used' });
+    }
+
+    let user;
+    try {
+      const hashedPassword = await bcrypt.hash(password, 10);
+      const protectedAadhaar = protectAadhaar(aadhar);
+      const result = await client.query(`
+        INSERT INTO users (name, email, phone_number, aadhar_encrypted, aadhar_hash, aadhar_last4, password, address, role, department)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id, name, email, phone_number, aadhar_last4, role, department, created_at
+      `, [name, email, phone_number, protectedAadhaar.encrypted, protectedAadhaar.hash, protectedAadhaar.last4,
+        hashedPassword, address, invite.role, invite.department]);
+      user = result.rows[0];
+    } catch (insertError) {
+      await client.query('UPDATE staff_invites SET redeemed_at = NULL WHERE id = $1', [invite.id]);
+      throw insertError;
+    }
+
+    await client.query('UPDATE staff_invites SET redeemed_by_id = $1 WHERE id = $2', [user.id, invite.id]);
+
+    let worker = null;
+    if (user.role === 'field-worker') {
+      const workerResult = await client.query(`
+        INSERT INTO workers (user_id, specializations, current_status)
+        VALUES ($1, $2, 'available')
+        ON CONFLICT (user_id) DO NOTHING
+        RETURNING *
+      `, [user.id, invite.specializations]);
+      worker = workerResult.rows[0] || null;
+      await refreshStatistics({ departments: [user.department] });
+    }
+
+    auditChange(req, 'user', user.id, null, { ...user, invite_id: invite.id });
+    res.status(201).json({
+      message: 'Staff account created successfully',
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        phone_number: user.phone_number,
+        aadhar: maskAadhaar(user.aadhar_last4),
+        role: user.role,
+        department: user.department,
+        created_at: user.created_at
+      },
+      ...(worker ? { worker } : {}),
+      ...(await issueSession(user, req)).tokens
+    });
+  } catch (error) {
+    console.error('Redeem invite error:', error);
+    res.status(500).json({ error: 'Failed to redeem invite', details: error.message });
+  }
+});
+
+// User Login
+app.post('/api/users/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const attemptKey = String(email).trim().toLowerCase();
+    const lockout = await checkLoginLockout(attemptKey, req.ip);
+    if (lockout) {
+      res.set('Retry-After', String(lockout.retryAfter));
+      return res.status(429).json({
+        error: lockout.scope === 'account'
+          ? 'Too many failed login attempts for this account, please try again later'
+          : 'Too many failed login attempts from this address, please try again later',
+        retry_after_seconds: lockout.retryAfter
+      });
+    }
+
+    const result = await client.query(`
+      SELECT id, name, email, phone_number, aadhar_last4, password, role, department, avatar_url, token_version,
+        email_verified, phone_verified
+      FROM users 
+      WHERE email = $1 AND is_active = true
+    `, [email]);
+
+    const user = result.rows[0];
+    const isPasswordValid = user ? await bcrypt.compare(password, user.password) : false;
+
+    if (!isPasswordValid) {
+      await recordLoginAttempt(attemptKey, req.ip, 'failure');
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    await recordLoginAttempt(attemptKey, req.ip, 'success');
+
+    // Update last login
+    await client.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+    const { tokens } = await issueSession(user, req);
+
+    res.json({ 
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        phone_number: user.phone_number,
+        aadhar: maskAadhaar(user.aadhar_last4),
         role: user.role,
         department: user.department,
-        created_at: user.created_at
+        avatar_url: user.avatar_url,
+        email_verified: user.email_verified,
+        phone_verified: user.phone_verified
+      },
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed', details: error.message });
+  }
+});
+
+// Refresh Access Token (rotates the refresh token)
+app.post('/api/users/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'refresh_token is required' });
+    }
+
+    const result = await client.query(`
+      SELECT rt.*, u.email, u.role, u.department, u.token_version, u.is_active
+      FROM refresh_tokens rt
+      JOIN users u ON rt.user_id = u.id
+      WHERE rt.token_hash = $1
+    `, [hashRefreshToken(refresh_token)]);
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const stored = result.rows[0];
+
+    // A rotated token coming back means it was copied - end the whole session
+    if (stored.revoked_reason === 'rotated') {
+      await revokeSessions('session_id = $1', [stored.session_id], 'reuse');
+      console.warn(`Refresh token reuse detected for user ${stored.user_id}, session ${stored.session_id} ended`);
+      return res.status(401).json({ error: 'Refresh token was already used; the session has been ended' });
+    }
+
+    if (stored.revoked_at) {
+      return res.status(401).json({ error: 'Session has ended, please log in again' });
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      return res.status(401).json({ error: 'Refresh token expired, please log in again' });
+    }
+
+    if (!stored.is_active) {
+      return res.status(401).json({ error: 'Account is deactivated' });
+    }
+
+    // Claim the old token first so two concurrent refreshes cannot both rotate it
+    const claimed = await client.query(`
+      UPDATE refresh_tokens
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'rotated', last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING id
+    `, [stored.id]);
+
+    if (claimed.rows.length === 0) {
+      await revokeSessions('session_id = $1', [stored.session_id], 'reuse');
+      return res.status(401).json({ error: 'Refresh token was already used; the session has been ended' });
+    }
+
+    const user = {
+      id: stored.user_id,
+      email: stored.email,
+      role: stored.role,
+      department: stored.department,
+      token_version: stored.token_version
+    };
+    const { refreshTokenId, tokens } = await issueSession(user, req, stored.session_id);
+    await client.query('UPDATE refresh_tokens SET replaced_by_id = $1 WHERE id = $2', [refreshTokenId, stored.id]);
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token', details: error.message });
+  }
+});
+
+// Logout (ends the current session)
+app.post('/api/users/logout', optionalAuth, async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    // The refresh token identifies the session even after the access token has expired
+    let ended = 0;
+    if (refresh_token) {
+      ended = await revokeSessions(
+        'session_id = (SELECT session_id FROM refresh_tokens WHERE token_hash = $1)',
+        [hashRefreshToken(refresh_token)],
+        'logout'
+      );
+    } else if (req.user) {
+      ended = await revokeSessions('session_id = $1', [req.user.sid], 'logout');
+    } else {
+      return res.status(400).json({ error: 'Send the refresh_token or a valid access token' });
+    }
+
+    res.json({ message: 'Logged out successfully', sessions_ended: ended });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out', details: error.message });
+  }
+});
+
+// Logout All Devices
+app.post('/api/users/logout-all', authenticateToken, authorize('sessions:manage'), async (req, res) => {
+  try {
+    const ended = await revokeUserSessions(req.user.id, 'logout-all');
+
+    res.json({ message: 'Logged out from all devices', sessions_ended: ended });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out from all devices', details: error.message });
+  }
+});
+
+// Send Verification Code (email or phone)
+app.post('/api/users/verification/send', authenticateToken, authorize('users:update'), async (req, res) => {
+  try {
+    const { channel } = req.body;
+
+    if (!VERIFICATION_CHANNELS[channel]) {
+      return res.status(400).json({ error: `channel must be one of: ${Object.keys(VERIFICATION_CHANNELS).join(', ')}` });
+    }
+
+    const result = await client.query(`
+      SELECT id, email, phone_number, email_verified, phone_verified FROM users WHERE id = $1 AND is_active = true
+    `, [req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+    if (user[VERIFICATION_CHANNELS[channel].flag]) {
+      return res.status(409).json({ error: `Your ${VERIFICATION_CHANNELS[channel].label} is already verified` });
+    }
+
+    const sent = await sendVerificationCode(user, channel);
+    if (sent.error) {
+      if (sent.retryAfter) {
+        res.set('Retry-After', String(sent.retryAfter));
+      }
+      return res.status(sent.statusCode).json({ error: sent.error });
+    }
+
+    res.json({ message: 'Verification code sent', channel, ...sent });
+  } catch (error) {
+    console.error('Send verification code error:', error);
+    res.status(500).json({ error: 'Failed to send verification code', details: error.message });
+  }
+});
+
+// Confirm Verification Code
+app.post('/api/users/verification/confirm', authenticateToken, authorize('users:update'), async (req, res) => {
+  try {
+    const { channel, code } = req.body;
+
+    if (!VERIFICATION_CHANNELS[channel] || !code) {
+      return res.status(400).json({ error: `channel (${Object.keys(VERIFICATION_CHANNELS).join(', ')}) and code are required` });
+    }
+
+    const result = await client.query(`
+      SELECT id, email, phone_number FROM users WHERE id = $1 AND is_active = true
+    `, [req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { statusCode, error, attempts_left } = await confirmVerificationCode(result.rows[0], channel, code);
+    if (error) {
+      return res.status(statusCode).json({ error, ...(attempts_left !== undefined ? { attempts_left } : {}) });
+    }
+
+    res.json({ message: `Your ${VERIFICATION_CHANNELS[channel].label} is verified`, channel, verified: true });
+  } catch (error) {
+    console.error('Confirm verification code error:', error);
+    res.status(500).json({ error: 'Failed to verify code', details: error.message });
+  }
+});
+
+// Forgot Password (emails a single-use reset token)
+app.post('/api/users/password/forgot', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // The same answer whether or not the account exists, so emails cannot be probed
+    const response = { message: 'If an account exists for this email, a password reset link has been sent' };
+
+    const result = await client.query(`
+      SELECT u.id, u.email,
+        (SELECT COUNT(*)::int FROM password_reset_tokens
+         WHERE user_id = u.id AND created_at > NOW() - INTERVAL '1 hour') AS requested_last_hour
+      FROM users u WHERE u.email = $1 AND u.is_active = true
+    `, [email]);
+
+    const user = result.rows[0];
+    if (!user || user.requested_last_hour >= PASSWORD_RESET_MAX_PER_HOUR) {
+      return res.json(response);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    // A new link replaces any earlier one
+    await client.query(`
+      UPDATE password_reset_tokens SET expires_at = NOW()
+      WHERE user_id = $1 AND used_at IS NULL AND expires_at > NOW()
+    `, [user.id]);
+    await client.query(`
+      INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+      VALUES ($1, $2, NOW() + make_interval(mins => $3::int), $4)
+    `, [user.id, hashPasswordResetToken(token), PASSWORD_RESET_TTL_MINUTES, req.ip || null]);
+
+    const resetUrl = `${process.env.APP_BASE_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+    await messageTransports.email.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Use this link to reset your Vikshit Bharat password: ${resetUrl}\n` +
+        `It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once. ` +
+        'If you did not ask for a reset, you can ignore this email.'
+    });
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset', details: error.message });
+  }
+});
+
+// Reset Password
+app.post('/api/users/password/reset', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'token and password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    // Claiming the token marks it used, so it works exactly once
+    const claimed = await client.query(`
+      UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id
+    `, [hashPasswordResetToken(token)]);
+
+    if (claimed.rows.length === 0) {
+      return res.status(400).json({ error: 'Reset link is invalid, expired or already used' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const result = await client.query(`
+      UPDATE users
+      SET password = $1,
+          -- Following the emailed link proves control of the address
+          email_verified = true,
+          email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND is_active = true
+      RETURNING id, email
+    `, [hashedPassword, claimed.rows[0].user_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Reset link is invalid, expired or already used' });
+    }
+
+    // Sign out everywhere and lift any lockout on the account
+    await revokeUserSessions(result.rows[0].id, 'password-reset');
+    await recordLoginAttempt(result.rows[0].email.toLowerCase(), req.ip, 'reset');
+
+    res.json({ message: 'Password has been reset, please log in with the new password' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password', details: error.message });
+  }
+});
+
+// Get User Details
+app.get('/api/users/:user_id', authenticateToken, authorize('users:read', { user: 'user_id' }), async (req, res) => {
+  try {
+    const { user_id } = req.params;
+
+    const result = await client.query(`
+      SELECT id, name, email, phone_number, aadhar_last4 AS aadhar, address, role, department, avatar_url,
+        email_verified, phone_verified, created_at, updated_at 
+      FROM users WHERE id = $1 AND is_active = true
+    `, [user_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+    res.json({ user: { ...user, aadhar: maskAadhaar(user.aadhar) } });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Failed to get user', details: error.message });
+  }
+});
+
+// Update User Profile
+app.put('/api/users/:user_id', authenticateToken, authorize('users:update', { user: 'user_id' }), async (req, res) => {
+  try {
+    const { user_id } = req.params;
+    const { name, phone_number, address, avatar_url } = req.body;
+
+    const existing = await client.query(`
+      SELECT id, name, email, phone_number, address, role, department, avatar_url, email_verified, phone_verified
+      FROM users WHERE id = $1
+    `, [user_id]);
+
+    const result = await client.query(`
+      UPDATE users 
+      SET name = COALESCE($1, name), 
+          phone_number = COALESCE($2, phone_number),
+          -- A new phone number has to be verified again
+          phone_verified = CASE WHEN $2::text IS NULL OR $2 = phone_number THEN phone_verified ELSE false END,
+          address = COALESCE($3, address),
+          avatar_url = COALESCE($4, avatar_url),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5 AND is_active = true
+      RETURNING id, name, email, phone_number, aadhar_last4 AS aadhar, address, role, department, avatar_url,
+        email_verified, phone_verified
+    `, [name, phone_number, address, avatar_url, user_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+    const { aadhar, ...updated } = user;
+    auditChange(req, 'user', user_id, existing.rows[0], updated);
+
+    res.json({ 
+      message: 'Profile updated successfully',
+      user: { ...user, aadhar: maskAadhaar(user.aadhar) }
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user', details: error.message });
+  }
+});
+
+// Reveal Aadhaar Number (audited)
+app.post('/api/users/:user_id/aadhaar/reveal', authenticateToken, authorize('aadhaar:reveal', { user: 'user_id' }), async (req, res) => {
+  try {
+    const { user_id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || String(reason).trim().length < 10) {
+      return res.status(400).json({ error: 'A reason of at least 10 characters is required to reveal an Aadhaar number' });
+    }
+
+    const result = await client.query(`
+      SELECT id, aadhar_encrypted FROM users WHERE id = $1
+    `, [user_id]);
+
+    if (result.rows.length === 0 || !result.rows[0].aadhar_encrypted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const aadhar = decryptAadhaar(result.rows[0].aadhar_encrypted);
+
+    // Logged before the number is returned, so no reveal goes unrecorded
+    const logged = await client.query(`
+      INSERT INTO aadhaar_access_log (actor_id, user_id, reason, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, created_at
+    `, [req.user.id, user_id, String(reason).trim(), req.ip || null,
+      (req.headers['user-agent'] || '').slice(0, 255) || null]);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      user_id: result.rows[0].id,
+      aadhar,
+      access_log_id: logged.rows[0].id,
+      revealed_at: logged.rows[0].created_at
+    });
+  } catch (error) {
+    console.error('Reveal Aadhaar error:', error);
+    res.status(500).json({ error: 'Failed to reveal Aadhaar number', details: error.message });
+  }
+});
+
+// Get Aadhaar Access Log
+app.get('/api/admin/aadhaar/access-log', authenticateToken, authorize('aadhaar:reveal'), async (req, res) => {
+  try {
+    const { user_id, actor_id, limit = 100 } = req.query;
+
+    const conditions = [];
+    const params = [];
+    if (user_id) {
+      params.push(user_id);
+      conditions.push(`l.user_id = $${params.length}`);
+    }
+    if (actor_id) {
+      params.push(actor_id);
+      conditions.push(`l.actor_id = $${params.length}`);
+    }
+    params.push(Math.min(parseInt(limit) || 100, 500));
+
+    const result = await client.query(`
+      SELECT l.*, actor.name AS actor_name, actor.role AS actor_role, u.name AS user_name
+      FROM aadhaar_access_log l
+      JOIN users actor ON l.actor_id = actor.id
+      JOIN users u ON l.user_id = u.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY l.created_at DESC
+      LIMIT $${params.length}
+    `, params);
+
+    res.json({ entries: result.rows });
+  } catch (error) {
+    console.error('Get Aadhaar access log error:', error);
+    res.status(500).json({ error: 'Failed to get Aadhaar access log', details: error.message });
+  }
+});
+
+// Get All Users (Admin only)
+app.get('/api/users', authenticateToken, authorize('users:list'), async (req, res) => {
+  try {
+    // Department heads only see the users of their own department
+    const departmentOnly = req.permissionScope === 'department';
+    const result = await client.query(`
+      SELECT id, name, email, phone_number, role, department, is_active, last_login, created_at
+      FROM users 
+      ${departmentOnly ? 'WHERE department = $1' : ''}
+      ORDER BY created_at DESC
+    `, departmentOnly ? [req.user.department] : []);
+
+    res.json({ users: result.rows });
+  } catch (error) {
+    console.error('Get all users error:', error);
+    res.status(500).json({ error: 'Failed to get users', details: error.message });
+  }
+});
+
+// Get Role Permission Matrix
+app.get('/api/permissions', authenticateToken, authorize('permissions:read'), (req, res) => {
+  res.json({
+    roles: ROLES,
+    permissions: PERMISSIONS,
+    scopes: PERMISSION_SCOPES,
+    matrix: ROLE_PERMISSIONS,
+    me: {
+      role: req.user.role,
+      permissions: ROLE_PERMISSIONS[req.user.role] || {}
+    }
+  });
+});
+
+// ==================== STAFF INVITE ROUTES ====================
+
+const INVITE_STATUS_CONDITIONS = {
+  pending: 'i.redeemed_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()',
+  redeemed: 'i.redeemed_at IS NOT NULL',
+  revoked: 'i.revoked_at IS NOT NULL',
+  expired: 'i.redeemed_at IS NULL AND i.revoked_at IS NULL AND i.expires_at <= NOW()'
+};
+
+// Issue Staff Invite
+app.post('/api/admin/invites', authenticateToken, authorize('users:invite'), async (req, res) => {
+  try {
+    const { email, role, department, specializations, expires_in_hours } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({ error: 'email and role are required' });
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    if (!STAFF_INVITE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${STAFF_INVITE_ROLES.join(', ')}` });
+    }
+
+    // Department heads can only bring field workers into their own department
+    if (req.permissionScope === 'department' &&
+      (role !== 'field-worker' || (department && department !== req.user.department))) {
+      return res.status(403).json({ error: 'Department heads can only invite field workers to their own department' });
+    }
+
+    const inviteDepartment = req.permissionScope === 'department' ? req.user.department : department;
+    if (role !== 'district-magistrate' && !inviteDepartment) {
+      return res.status(400).json({ error: 'department is required for field-worker and department-head invites' });
+    }
+    if (role !== 'district-magistrate') {
+      const departmentResult = await client.query('SELECT 1 FROM departments WHERE name = $1', [inviteDepartment]);
+      if (departmentResult.rows.length === 0) {
+        return res.status(400).json({ error: `Unknown department: ${inviteDepartment}` });
+      }
+    }
+
+    if (specializations !== undefined &&
+      (!Array.isArray(specializations) || specializations.some(item => typeof item !== 'string'))) {
+      return res.status(400).json({ error: 'specializations must be an array of strings' });
+    }
+
+    const ttlHours = expires_in_hours !== undefined ? parseInt(expires_in_hours) : INVITE_TTL_HOURS;
+    if (isNaN(ttlHours) || ttlHours < 1 || ttlHours > INVITE_MAX_TTL_HOURS) {
+      return res.status(400).json({ error: `expires_in_hours must be between 1 and ${INVITE_MAX_TTL_HOURS}` });
+    }
+
+    const existing = await client.query(`
+      SELECT
+        (SELECT COUNT(*) FROM users WHERE LOWER(email) = LOWER($1))::int AS users,
+        (SELECT COUNT(*) FROM staff_invites i WHERE i.email = LOWER($1) AND ${INVITE_STATUS_CONDITIONS.pending})::int AS pending
+    `, [email]);
+
+    if (existing.rows[0].users > 0) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    if (existing.rows[0].pending > 0) {
+      return res.status(409).json({ error: 'A pending invite already exists for this email; revoke it first' });
+    }
+
+    const { invite, token } = await createStaffInvite({
+      email,
+      role,
+      // District magistrates have no department, as with role changes
+      department: role === 'district-magistrate' ? null : inviteDepartment,
+      specializations: role === 'field-worker' ? specializations : null,
+      ttlHours,
+      invitedById: req.user.id
+    });
+
+    auditChange(req, 'invite', invite.id, null, formatInvite(invite));
+    res.status(201).json({
+      message: 'Invite created successfully',
+      invite: formatInvite(invite),
+      token
+    });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite', details: error.message });
+  }
+});
+
+// List Staff Invites
+app.get('/api/admin/invites', authenticateToken, authorize('users:invite'), async (req, res) => {
+  try {
+    const { status, role } = req.query;
+    const conditions = [];
+    const queryParams = [];
+
+    if (status) {
+      if (!INVITE_STATUS_CONDITIONS[status]) {
+        return res.status(400).json({ error: `status must be one of: ${Object.keys(INVITE_STATUS_CONDITIONS).join(', ')}` });
+      }
+      conditions.push(INVITE_STATUS_CONDITIONS[status]);
+    }
+
+    if (role) {
+      queryParams.push(role);
+      conditions.push(`i.role = $${queryParams.length}`);
+    }
+
+    if (req.permissionScope === 'department') {
+      queryParams.push(req.user.department);
+      conditions.push(`i.department = $${queryParams.length}`);
+    }
+
+    const result = await client.query(`
+      SELECT i.*, inviter.name AS invited_by_name, redeemer.name AS redeemed_by_name
+      FROM staff_invites i
+      LEFT JOIN users inviter ON i.invited_by_id = inviter.id
+      LEFT JOIN users redeemer ON i.redeemed_by_id = redeemer.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY i.created_at DESC
+    `, queryParams);
+
+    res.json({ invites: result.rows.map(formatInvite) });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ error: 'Failed to get invites', details: error.message });
+  }
+});
+
+// Revoke Staff Invite
+app.delete('/api/admin/invites/:invite_id', authenticateToken, authorize('users:invite'), async (req, res) => {
+  try {
+    const { invite_id } = req.params;
+
+    const existing = await client.query('SELECT * FROM staff_invites WHERE id = $1', [invite_id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    const invite = existing.rows[0];
+
+    if (req.permissionScope === 'department' && invite.department !== req.user.department) {
+      return res.status(403).json({ error: 'This invite is outside your access scope' });
+    }
+
+    if (invite.redeemed_at) {
+      return res.status(409).json({ error: 'Invite has already been used' });
+    }
+
+    const result = await client.query(`
+      UPDATE staff_invites
+      SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP),
+          revoked_by_id = COALESCE(revoked_by_id, $2)
+      WHERE id = $1
+      RETURNING *
+    `, [invite_id, req.user.id]);
+
+    auditChange(req, 'invite', invite.id, formatInvite(invite), formatInvite(result.rows[0]));
+    res.json({
+      message: 'Invite revoked successfully',
+      invite: formatInvite(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite', details: error.message });
+  }
+});
+
+// ==================== USER ADMINISTRATION ROUTES ====================
+
+// Deactivate User
+app.post('/api/admin/users/:user_id/deactivate', authenticateToken, authorize('users:manage', { user: 'user_id' }), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason for deactivating the account is required' });
+    }
+
+    const { user, statusCode, error } = await loadManagedUser(parseInt(req.params.user_id), req.user, { removesMagistrate: true });
+    if (error) {
+      return res.status(statusCode).json({ error });
+    }
+    if (!user.is_active) {
+      return res.status(409).json({ error: 'User is already deactivated' });
+    }
+
+    const result = await client.query(`
+      UPDATE users SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, name, email, role, department, is_active
+    `, [user.id]);
+    await client.query(`
+      UPDATE workers SET current_status = 'offline', updated_at = CURRENT_TIMESTAMP WHERE user_id = $1
+    `, [user.id]);
+
+    const reassignments = await releaseUserResponsibilities(user, req.user.id, `account deactivated (${reason})`, 'deactivated');
+    await refreshStatistics({ departments: [user.department] });
+
+    auditChange(req, 'user', user.id, { is_active: true }, { is_active: false });
+
+    res.json({
+      message: 'User deactivated successfully',
+      user: result.rows[0],
+      reassignments
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({ error: 'Failed to deactivate user', details: error.message });
+  }
+});
+
+// Reactivate User
+app.post('/api/admin/users/:user_id/reactivate', authenticateToken, authorize('users:manage', { user: 'user_id' }), async (req, res) => {
+  try {
+    const { user, statusCode, error } = await loadManagedUser(parseInt(req.params.user_id), req.user);
+    if (error) {
+      return res.status(statusCode).json({ error });
+    }
+    if (user.is_active) {
+      return res.status(409).json({ error: 'User is already active' });
+    }
+
+    const result = await client.query(`
+      UPDATE users SET is_active = true, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, name, email, role, department, is_active
+    `, [user.id]);
+    await refreshStatistics({ departments: [user.department] });
+
+    auditChange(req, 'user', user.id, { is_active: false }, { is_active: true });
+
+    res.json({
+      message: 'User reactivated successfully',
+      user: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({ error: 'Failed to reactivate user', details: error.message });
+  }
+});
+
+// Change User Role (promote / demote)
+app.patch('/api/admin/users/:user_id/role', authenticateToken, authorize('users:manage', { user: 'user_id' }), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const { user, statusCode, error } = await loadManagedUser(parseInt(req.params.user_id), req.user, {
+      removesMagistrate: role !== 'district-magistrate'
+    });
+    if (error) {
+      return res.status(statusCode).json({ error });
+    }
+
+    // Department roles keep the current department unless another one is given
+    const department = DEPARTMENT_ROLES.includes(role) ? (req.body.department || user.department) : null;
+    if (DEPARTMENT_ROLES.includes(role)) {
+      if (!department) {
+        return res.status(400).json({ error: `A department is required for the ${role} role` });
+      }
+      const departmentResult = await client.query('SELECT 1 FROM departments WHERE name = $1', [department]);
+      if (departmentResult.rows.length === 0) {
+        return res.status(400).json({ error: `Unknown department: ${department}` });
+      }
+    }
+
+    if (role === user.role && department === user.department) {
+      return res.status(409).json({ error: `User already has the ${role} role` });
+    }
+
+    const result = await client.query(`
+      UPDATE users SET role = $1, department = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING id, name, email, role, department, is_active
+    `, [role, department, user.id]);
+
+    if (role === 'field-worker') {
+      await client.query(`
+        INSERT INTO workers (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING
+      `, [user.id]);
+    } else if (user.role === 'field-worker') {
+      await client.query(`
+        UPDATE workers SET current_status = 'offline', updated_at = CURRENT_TIMESTAMP WHERE user_id = $1
+      `, [user.id]);
+    }
+
+    // Tasks only move when the user stops being a field worker or leaves the department
+    const reassignments = await releaseUserResponsibilities(user, req.user.id, `role changed from ${user.role} to ${role}`, 'role-changed', {
+      reassignTasks: user.role === 'field-worker' && (role !== 'field-worker' || department !== user.department)
+    });
+    await refreshStatistics({ workerIds: [user.id], departments: [user.department, department] });
+
+    auditChange(req, 'user', user.id,
+      { role: user.role, department: user.department },
+      { role, department });
+
+    res.json({
+      message: 'User role changed successfully',
+      user: result.rows[0],
+      reassignments
+    });
+  } catch (error) {
+    console.error('Change user role error:', error);
+    res.status(500).json({ error: 'Failed to change user role', details: error.message });
+  }
+});
+
+// Transfer User to Another Department
+app.patch('/api/admin/users/:user_id/department', authenticateToken, authorize('users:manage', { user: 'user_id' }), async (req, res) => {
+  try {
+    const { department } = req.body;
+
+    if (!department) {
+      return res.status(400).json({ error: 'department is required' });
+    }
+
+    const { user, statusCode, error } = await loadManagedUser(parseInt(req.params.user_id), req.user);
+    if (error) {
+      return res.status(statusCode).json({ error });
+    }
+    if (!DEPARTMENT_ROLES.includes(user.role)) {
+      return res.status(400).json({ error: `Only ${DEPARTMENT_ROLES.join(' and ')} accounts belong to a department` });
+    }
+    if (user.department === department) {
+      return res.status(409).json({ error: `User is already in ${department}` });
+    }
+
+    const departmentResult = await client.query('SELECT 1 FROM departments WHERE name = $1', [department]);
+    if (departmentResult.rows.length === 0) {
+      return res.status(400).json({ error: `Unknown department: ${department}` });
+    }
+
+    const result = await client.query(`
+      UPDATE users SET department = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, name, email, role, department, is_active
+    `, [department, user.id]);
+
+    const reassignments = await releaseUserResponsibilities(
+      user, req.user.id, `transferred from ${user.department} to ${department}`, 'department-changed'
+    );
+    await refreshStatistics({ workerIds: [user.id], departments: [user.department, department] });
+
+    auditChange(req, 'user', user.id, { department: user.department }, { department });
+
+    res.json({
+      message: 'User transferred successfully',
+      user: result.rows[0],
+      reassignments
+    });
+  } catch (error) {
+    console.error('Transfer user error:', error);
+    res.status(500).json({ error: 'Failed to transfer user', details: error.message });
+  }
+});
+
+// ==================== AUDIT LOG ROUTES ====================
+
+// Get Audit Log
+app.get('/api/admin/audit', authenticateToken, authorize('audit:read'), async (req, res) => {
+  try {
+    const conditions = [];
+    const params = [];
+
+    const listFilters = { action: 'a.action', entity_type: 'a.entity_type', actor_role: 'a.actor_role' };
+    for (const [name, column] of Object.entries(listFilters)) {
+      const values = parseListParam(req.query[name]);
+      if (values.length > 0) {
+        params.push(values);
+        conditions.push(`${column} = ANY($${params.length})`);
+      }
+    }
+
+    for (const name of ['actor_id', 'status_code']) {
+      if (req.query[name] !== undefined) {
+        const value = parseInt(req.query[name]);
+        if (isNaN(value)) {
+          return res.status(400).json({ error: `${name} must be an integer` });
+        }
+        params.push(value);
+        conditions.push(`a.${name} = $${params.length}`);
+      }
+    }
+
+    if (req.query.entity_id !== undefined) {
+      params.push(String(req.query.entity_id));
+      conditions.push(`a.entity_id = $${params.length}`);
+    }
+
+    // Partial match on the route, e.g. ?path=/api/admin/departments
+    if (req.query.path) {
+      params.push(`%${req.query.path}%`);
+      conditions.push(`a.action ILIKE $${params.length}`);
+    }
+
+    for (const [name, operator] of [['from', '>='], ['to', '<=']]) {
+      if (req.query[name]) {
+        if (isNaN(Date.parse(req.query[name]))) {
+          return res.status(400).json({ error: `${name} must be a valid date` });
+        }
+        params.push(req.query[name]);
+        conditions.push(`a.created_at ${operator} $${params.length}::timestamptz`);
+      }
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(req.query.limit);
+    if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countResult = await client.query(`SELECT COUNT(*) AS total FROM audit_log a ${whereClause}`, params);
+
+    // Newest first; the cursor continues below the last id of the previous page
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || cursor.s !== 'audit') {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      params.push(cursor.id);
+      conditions.push(`a.id < $${params.length}`);
+    }
+
+    params.push(limit + 1);
+    const result = await client.query(`
+      SELECT a.*, u.name AS actor_name
+      FROM audit_log a
+      LEFT JOIN users u ON a.actor_id = u.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY a.id DESC
+      LIMIT $${params.length}
+    `, params);
+
+    const hasMore = result.rows.length > limit;
+    const entries = result.rows.slice(0, limit);
+    const lastEntry = entries[entries.length - 1];
+
+    res.json({
+      entries,
+      pagination: {
+        total: parseInt(countResult.rows[0].total) || 0,
+        limit,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeCursor({ s: 'audit', v: String(lastEntry.id), id: parseInt(lastEntry.id) }) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to get audit log', details: error.message });
+  }
+});
+
+// Verify Audit Log Hash Chain
+app.get('/api/admin/audit/verify', authenticateToken, authorize('audit:read'), async (req, res) => {
+  try {
+    const fromId = parseInt(req.query.from_id) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10000, 100000);
+
+    // Let entries still being written land first
+    await auditWriteQueue;
+    const verification = await verifyAuditChain(fromId, limit);
+
+    res.json({ ...verification, from_id: fromId, write_failures: auditWriteFailures });
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({ error: 'Failed to verify audit log', details: error.message });
+  }
+});
+
+// ==================== PROBLEM LIFECYCLE ====================
+
+// submitted -> triaged -> assigned -> in-progress -> resolved -> verified -> closed,
+// with rejected and reopened as side branches. Completions whose proof of work is
+// doubtful wait in under-review for a supervisor instead of going straight to resolved.
+const PROBLEM_STATUSES = ['submitted', 'triaged', 'assigned', 'in-progress', 'under-review', 'resolved', 'verified', 'closed', 'rejected', 'reopened'];
+const PENDING_STATUSES = ['submitted', 'triaged', 'reopened'];
+const ACTIVE_STATUSES = ['assigned', 'in-progress', 'under-review'];
+const RESOLVED_STATUSES = ['resolved', 'verified', 'closed'];
+const CLOSED_STATUSES = [...RESOLVED_STATUSES, 'rejected'];
+
+const ADMIN_ROLES = ['district-magistrate', 'department-head'];
+const STAFF_ROLES = [...ADMIN_ROLES, 'field-worker'];
+
+// Allowed transitions: who may make them and which fields must be present.
+// Citizens may only act on their own problems and field workers on problems assigned to them.
+const STATUS_TRANSITIONS = {
+  'submitted': {
+    'triaged': { roles: ADMIN_ROLES },
+    'assigned': { roles: ADMIN_ROLES, requires: ['assigned_worker_id'] },
+    'rejected': { roles: ADMIN_ROLES, requires: ['notes'] }
+  },
+  'triaged': {
+    'assigned': { roles: ADMIN_ROLES, requires: ['assigned_worker_id'] },
+    'rejected': { roles: ADMIN_ROLES, requires: ['notes'] }
+  },
+  'assigned': {
+    'assigned': { roles: ADMIN_ROLES, requires: ['assigned_worker_id'] },
+    'in-progress': { roles: STAFF_ROLES },
+    'resolved': { roles: STAFF_ROLES, requires: ['admin_image_key'] },
+    'under-review': { roles: STAFF_ROLES, requires: ['admin_image_key'] },
+    'triaged': { roles: STAFF_ROLES, requires: ['notes'] },
+    'rejected': { roles: ADMIN_ROLES, requires: ['notes'] }
+  },
+  'in-progress': {
+    'assigned': { roles: ADMIN_ROLES, requires: ['assigned_worker_id'] },
+    'resolved': { roles: STAFF_ROLES, requires: ['admin_image_key'] },
+    'under-review': { roles: STAFF_ROLES, requires: ['admin_image_key'] },
+    'triaged': { roles: ADMIN_ROLES, requires: ['notes'] }
+  },
+  'under-review': {
+    'resolved': { roles: ADMIN_ROLES },
+    'in-progress': { roles: ADMIN_ROLES, requires: ['notes'] },
+    'assigned': { roles: ADMIN_ROLES, requires: ['assigned_worker_id'] }
+  },
+  'resolved': {
+    'verified': { roles: ['citizen', ...ADMIN_ROLES] },
+    'reopened': { roles: ['citizen', ...ADMIN_ROLES], requires: ['notes'] },
+    'closed': { roles: ADMIN_ROLES }
+  },
+  'verified': {
+    'closed': { roles: ADMIN_ROLES },
+    'reopened': { roles: ADMIN_ROLES, requires: ['notes'] }
+  },
+  'reopened': {
+    'assigned': { roles: ADMIN_ROLES, requires: ['assigned_worker_id'] },
+    'in-progress': { roles: STAFF_ROLES },
+    'triaged': { roles: ADMIN_ROLES, requires: ['notes'] }
+  },
+  'rejected': {
+    'reopened': { roles: ['district-magistrate'], requires: ['notes'] }
+  },
+  'closed': {}
+};
+
+const TRANSITION_FIELD_LABELS = {
+  assigned_worker_id: 'an assigned worker',
+  admin_image_key: 'a completion photo (use POST /api/admin/problems/:id/complete)',
+  notes: 'notes explaining the change'
+};
+
+// Render internal status constants for the status CHECK constraint, since DDL cannot take
+// parameters. Queries bind status lists as `= ANY($n)` instead.
+function sqlStatusList(statuses) {
+  return statuses.map(status => `'${status}'`).join(', ');
+}
+
+// Check whether `user` may move `problem` to `toStatus`. `fields` holds the values the
+// transition would leave on the problem (e.g. the worker being assigned).
+// Returns null when allowed, otherwise { statusCode, body } for the response.
+function validateStatusTransition(problem, toStatus, user, fields = {}) {
+  if (!PROBLEM_STATUSES.includes(toStatus)) {
+    return {
+      statusCode: 400,
+      body: { error: `Unknown status "${toStatus}". Valid statuses: ${PROBLEM_STATUSES.join(', ')}` }
+    };
+  }
+
+  const allowedFromHere = STATUS_TRANSITIONS[problem.status] || {};
+  const rule = allowedFromHere[toStatus];
+
+  if (!rule) {
+    return {
+      statusCode: 409,
+      body: {
+        error: `Cannot change status from "${problem.status}" to "${toStatus}"`,
+        current_status: problem.status,
+        allowed_transitions: Object.keys(allowedFromHere)
+      }
+    };
+  }
+
+  const isOwner = user.role === 'citizen' && problem.user_id === user.id;
+  const isAssignee = user.role === 'field-worker' && problem.assigned_worker_id === user.id;
+  const roleAllowed = rule.roles.includes(user.role) &&
+    (user.role !== 'citizen' || isOwner) &&
+    (user.role !== 'field-worker' || isAssignee);
+
+  if (!roleAllowed) {
+    return {
+      statusCode: 403,
+      body: { error: `Your role cannot change status from "${problem.status}" to "${toStatus}"` }
+    };
+  }
+
+  const values = { ...problem, notes: null, ...fields };
+  const missing = (rule.requires || []).filter(field => !values[field]);
+  if (missing.length > 0) {
+    return {
+      statusCode: 400,
+      body: {
+        error: `Changing status to "${toStatus}" requires ${missing.map(field => TRANSITION_FIELD_LABELS[field] || field).join(' and ')}`,
+        required_fields: missing
+      }
+    };
+  }
+
+  return null;
+}
+
+// Write a validated status change together with any other column updates, record it in the
+// history and mirror it onto merged duplicates
+async function changeProblemStatus(problemId, toStatus, updatedById, notes, extraUpdates = {}) {
+  const previous = await client.query(`
+    SELECT status, assigned_worker_id, assigned_department FROM problems WHERE id = $1
+  `, [problemId]);
+
+  const updates = { ...extraUpdates, status: toStatus };
+  const values = Object.values(updates);
+  const assignments = Object.keys(updates).map((column, index) => `${column} = $${index + 1}`);
+
+  if (toStatus === 'resolved') {
+    assignments.push('resolved_at = CURRENT_TIMESTAMP');
+  } else if (!RESOLVED_STATUSES.includes(toStatus)) {
+    assignments.push('resolved_at = NULL');
+  }
+
+  // Any rating was for the fix that did not hold; the citizen rates the next one afresh
+  if (toStatus === 'reopened') {
+    assignments.push('citizen_rating = NULL', 'citizen_feedback = NULL', 'feedback_at = NULL');
+  }
+
+  values.push(problemId);
+  const result = await client.query(`
+    UPDATE problems
+    SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${values.length}
+    RETURNING *
+  `, values);
+
+  const problem = result.rows[0];
+
+  // The worker holding the problem is recorded so statistics can credit (or debit) them later
+  await client.query(`
+    INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes, worker_id)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [problemId, toStatus, updatedById, notes || `Status updated to ${toStatus}`, problem.assigned_worker_id]);
+
+  await propagateStatusToChildren(problemId, toStatus, updatedById, notes || `Status updated to ${toStatus}`);
+
+  // Reassignments and department changes affect both the previous and the new holder
+  queueStatisticsRefresh({
+    workerIds: [previous.rows[0]?.assigned_worker_id, problem.assigned_worker_id],
+    departments: [previous.rows[0]?.assigned_department, problem.assigned_department]
+  });
+
+  const before = previous.rows[0] || {};
+  const newlyAssigned = problem.assigned_worker_id && problem.assigned_worker_id !== before.assigned_worker_id;
+  await publishEvent(newlyAssigned ? 'problem.assigned' : 'problem.status_changed', {
+    problem_id: problem.id,
+    status: problem.status,
+    previous_status: before.status || null,
+    assigned_worker_id: problem.assigned_worker_id,
+    assigned_department: problem.assigned_department,
+    priority: problem.priority,
+    notes: notes || null,
+    updated_by_id: updatedById
+  }, await problemEventAudience(problem, before));
+
+  return problem;
+}
+
+// One-time migration of free-form statuses from before the lifecycle existed
+async function migrateProblemStatuses() {
+  const result = await client.query(`
+    UPDATE problems
+    SET status = CASE
+          WHEN lower(status) IN ('completed', 'complete', 'done', 'fixed', 'resolved') THEN 'resolved'
+          WHEN lower(status) IN ('in-progress', 'in progress', 'working') AND assigned_worker_id IS NOT NULL THEN 'in-progress'
+          WHEN assigned_worker_id IS NOT NULL THEN 'assigned'
+          WHEN assigned_department IS NOT NULL THEN 'triaged'
+          ELSE 'submitted'
+        END,
+        resolved_at = CASE
+          WHEN lower(status) IN ('completed', 'complete', 'done', 'fixed', 'resolved') THEN COALESCE(resolved_at, updated_at)
+          ELSE resolved_at
+        END
+    WHERE status IS NULL
+       OR NOT (status = ANY($1::text[]))
+       OR (status = 'in-progress' AND assigned_worker_id IS NULL)
+  `, [PROBLEM_STATUSES]);
+
+  if (result.rowCount > 0) {
+    console.log(`Migrated ${result.rowCount} problems to the status lifecycle`);
+  }
+
+  await client.query(`ALTER TABLE problems ALTER COLUMN status SET DEFAULT 'submitted'`);
+
+  // The constraint follows PROBLEM_STATUSES. Adding it validates every row, so it is only
+  // recreated when the statuses it allows differ from the current list.
+  const existing = await client.query(`
+    SELECT pg_get_constraintdef(oid) AS definition FROM pg_constraint
+    WHERE conrelid = 'problems'::regclass AND conname = 'problems_status_check'
+  `);
+  const allowed = existing.rows.length > 0
+    ? [...existing.rows[0].definition.matchAll(/'([^']+)'/g)].map(match => match[1]).sort()
+    : [];
+  if (allowed.join(',') !== [...PROBLEM_STATUSES].sort().join(',')) {
+    await client.query(`ALTER TABLE problems DROP CONSTRAINT IF EXISTS problems_status_check`);
+    await client.query(`
+      ALTER TABLE problems ADD CONSTRAINT problems_status_check CHECK (status IN (${sqlStatusList(PROBLEM_STATUSES)}))
+    `);
+  }
+}
+
+// ==================== REALTIME EVENTS ====================
+
+// Problem and notification events are stored in realtime_events, whose id doubles as the
+// SSE event id, and pushed to connected clients through realtimeBus. A reconnecting client
+// sends the last id it saw and gets everything after it replayed from the table.
+const REALTIME_EVENT_TYPES = ['problem.created', 'problem.status_changed', 'problem.assigned', 'notification.created'];
+const REALTIME_EVENT_RETENTION_HOURS = parseInt(process.env.REALTIME_EVENT_RETENTION_HOURS) || 48;
+const REALTIME_REPLAY_LIMIT = 1000;
+const REALTIME_HEARTBEAT_SECONDS = 25;
+const REALTIME_SESSION_CHECK_SECONDS = 60;
+
+const realtimeBus = new EventEmitter();
+realtimeBus.setMaxListeners(0);
+let realtimePrunedAt = 0;
+
+function toRealtimeEvent(row) {
+  return {
+    id: Number(row.id),
+    type: row.type,
+    problem_id: row.problem_id,
+    departments: row.departments,
+    user_ids: row.user_ids,
+    broadcast: row.broadcast,
+    payload: row.payload,
+    created_at: row.created_at
+  };
+}
+
+// Store and push an event. `departments` and `userIds` say who may see it, unless it is a
+// broadcast. A failure is logged rather than failing the change that caused the event.
+async function publishEvent(type, payload, { problemId = null, departments = [], userIds = [], broadcast = false } = {}) {
+  try {
+    const result = await client.query(`
+      INSERT INTO realtime_events (type, problem_id, departments, user_ids, broadcast, payload)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [
+      type, problemId,
+      [...new Set(departments.filter(Boolean))],
+      [...new Set(userIds.filter(Boolean))],
+      broadcast, payload
+    ]);
+    realtimeBus.emit('event', toRealtimeEvent(result.rows[0]));
+
+    // Replay only needs recent events; prune at most once an hour
+    if (Date.now() - realtimePrunedAt > 60 * 60 * 1000) {
+      realtimePrunedAt = Date.now();
+      await client.query(`
+        DELETE FROM realtime_events WHERE created_at < NOW() - make_interval(hours => $1::int)
+      `, [REALTIME_EVENT_RETENTION_HOURS]);
+    }
+  } catch (error) {
+    console.error('Publish event error:', error);
+  }
+}
+
+// Everyone involved in a problem before and after a change: reporter, workers and departments.
+// Department heads also see problems whose categories are routed to their department (see
+// problemScopeConditions), so those departments are included even before the problem is routed.
+async function problemEventAudience(problem, previous = {}) {
+  const routed = await client.query(`
+    SELECT DISTINCT department FROM category_department_routes WHERE category::text = ANY($1::text[])
+  `, [problem.problem_categories || []]);
+
+  return {
+    problemId: problem.id,
+    departments: [problem.assigned_department, previous.assigned_department, ...routed.rows.map(row => row.department)],
+    userIds: [problem.user_id, problem.assigned_worker_id, previous.assigned_worker_id]
+  };
+}
+
+async function publishNotificationEvent(notification) {
+  await publishEvent('notification.created', {
+    notification_id: notification.id,
+    title: notification.title,
+    message: notification.message,
+    type: notification.type,
+    priority: notification.priority,
+    category: notification.category,
+    related_problem_id: notification.related_problem_id,
+    action_required: notification.action_required
+  }, {
+    userIds: notification.recipient_ids || [],
+    broadcast: !notification.recipient_ids
+  });
+}
+
+// Notifications reach their recipients (everyone for broadcasts), like GET /api/notifications.
+// Problem events follow the user's events:subscribe scope, which mirrors problems:list.
+function canReceiveEvent(user, event) {
+  if (event.broadcast || event.user_ids.includes(user.id)) {
+    return true;
+  }
+  if (!event.problem_id) {
+    return false;
+  }
+
+  const scope = permissionScope(user, 'events:subscribe');
+  return scope === 'all' || (scope === 'department' && event.departments.includes(user.department));
+}
+
+// ==================== NOTIFICATION HELPERS ====================
+
+// Create a notification from server-side events (as opposed to POST /api/notifications)
+async function createNotification({
+  title, message, type = 'info', priority = 'medium', senderId = null, recipientIds,
+  department = null, category = 'complaint', relatedProblemId = null, actionRequired = false
+}) {
+  const result = await client.query(`
+    INSERT INTO notifications (
+      title, message, type, priority, sender_id, recipient_ids, department,
+      category, related_problem_id, action_required
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `, [title, message, type, priority, senderId, recipientIds, department, category, relatedProblemId, actionRequired]);
+
+  await publishNotificationEvent(result.rows[0]);
+  return result.rows[0];
+}
+
+// ==================== DUPLICATE DETECTION ====================
+
+const DUPLICATE_RADIUS_METERS = parseFloat(process.env.DUPLICATE_RADIUS_METERS) || 50;
+const DUPLICATE_PHASH_MAX_DISTANCE = parseInt(process.env.DUPLICATE_PHASH_MAX_DISTANCE) || 10;
+
+// Difference hash: 64 bits from comparing neighbouring pixels of a 9x8 grayscale thumbnail.
+// Similar photos of the same scene land within a few bits of each other.
+async function computePerceptualHash(fileBuffer) {
+  try {
+    const pixels = await sharp(fileBuffer)
+      .rotate()
+      .grayscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        hash = (hash << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+      }
+    }
+    return hash.toString(16).padStart(16, '0');
+  } catch (error) {
+    console.error('Perceptual hash error:', error);
+    return null;
+  }
+}
+
+function perceptualHashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+// Open, unmerged complaints near a point that share at least one category.
+// Candidates with a visually similar photo are listed first, then by distance.
+async function findDuplicateCandidates({ latitude, longitude, categories, phash = null, excludeId = null }) {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  const latDelta = DUPLICATE_RADIUS_METERS / 111320;
+  const lngDelta = DUPLICATE_RADIUS_METERS / (111320 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+  const result = await client.query(`
+    SELECT * FROM (
+      SELECT p.id, p.problem_categories, p.others_text, p.status, p.priority, p.latitude, p.longitude,
+             p.user_image_key, p.user_image_phash, p.support_count, p.created_at,
+             ARRAY(SELECT unnest(p.problem_categories) INTERSECT SELECT unnest($3::text[])) AS shared_categories,
+             6371000 * 2 * ASIN(SQRT(
+               POWER(SIN(RADIANS(p.latitude - $1) / 2), 2) +
+               COS(RADIANS($1)) * COS(RADIANS(p.latitude)) * POWER(SIN(RADIANS(p.longitude - $2) / 2), 2)
+             )) AS distance_m
+      FROM problems p
+      WHERE p.latitude BETWEEN $1 - $4 AND $1 + $4
+        AND p.longitude BETWEEN $2 - $5 AND $2 + $5
+        AND p.problem_categories && $3::text[]
+        AND p.parent_problem_id IS NULL
+        AND NOT (p.status = ANY($6))
+        AND ($7::integer IS NULL OR p.id <> $7)
+    ) nearby
+    WHERE distance_m <= $8
+  `, [lat, lng, categories, latDelta, lngDelta, CLOSED_STATUSES, excludeId, DUPLICATE_RADIUS_METERS]);
+
+  return result.rows
+    .map(({ user_image_phash, ...candidate }) => {
+      const imageDistance = phash && user_image_phash ? perceptualHashDistance(phash, user_image_phash) : null;
+      return {
+        ...formatProblem(candidate),
+        distance_m: Math.round(parseFloat(candidate.distance_m)),
+        image_similarity: imageDistance === null ? null : Math.round((1 - imageDistance / 64) * 100) / 100,
+        image_match: imageDistance !== null && imageDistance <= DUPLICATE_PHASH_MAX_DISTANCE
+      };
+    })
+    .sort((a, b) => (b.image_match - a.image_match) || (a.distance_m - b.distance_m));
+}
+
+// Mirror a parent's status onto its merged children and tell everyone who reported or supported it
+async function propagateStatusToChildren(parentId, status, updatedById, notes) {
+  const children = await client.query(`
+    UPDATE problems
+    SET status = $1,
+        resolved_at = (SELECT resolved_at FROM problems WHERE id = $2),
+        citizen_rating = CASE WHEN $3 THEN NULL ELSE citizen_rating END,
+        citizen_feedback = CASE WHEN $3 THEN NULL ELSE citizen_feedback END,
+        feedback_at = CASE WHEN $3 THEN NULL ELSE feedback_at END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE parent_problem_id = $2
+    RETURNING id, user_id
+  `, [status, parentId, status === 'reopened']);
+
+  for (const child of children.rows) {
+    await client.query(`
+      INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes)
+      VALUES ($1, $2, $3, $4)
+    `, [child.id, status, updatedById, `Status of merged problem #${parentId} changed: ${notes}`]);
+  }
+
+  const recipients = await client.query(`
+    SELECT DISTINCT user_id FROM (
+      SELECT user_id FROM problems WHERE parent_problem_id = $1
+      UNION
+      SELECT user_id FROM problem_supporters WHERE problem_id = $1
+    ) r
+    WHERE user_id IS NOT NULL
+  `, [parentId]);
+
+  if (recipients.rows.length > 0) {
+    await createNotification({
+      title: `Complaint #${parentId} is now ${status}`,
+      message: notes,
+      type: RESOLVED_STATUSES.includes(status) ? 'success' : 'info',
+      senderId: updatedById,
+      recipientIds: recipients.rows.map(row => row.user_id),
+      category: 'citizen',
+      relatedProblemId: parentId
+    });
+  }
+}
+
+// ==================== SLA ESCALATION ====================
+
+const SLA_CHECK_INTERVAL_MINUTES = parseFloat(process.env.SLA_CHECK_INTERVAL_MINUTES) || 5;
+
+// [category, priority, resolution_hours] - null matches any category/priority
+const DEFAULT_SLA_POLICIES = [
+  [null, 'high', 72],
+  [null, 'medium', 168],
+  [null, 'low', 336],
+  ['Drainage & Sewage', 'high', 48]
+];
+
+async function seedSlaPolicies() {
+  const existing = await client.query('SELECT COUNT(*) AS count FROM sla_policies');
+  if (parseInt(existing.rows[0].count) > 0) {
+    return;
+  }
+
+  for (const [category, priority, resolutionHours] of DEFAULT_SLA_POLICIES) {
+    await client.query(`
+      INSERT INTO sla_policies (category, priority, resolution_hours)
+      VALUES ($1, $2, $3)
+    `, [category, priority, resolutionHours]);
+  }
+}
+
+// (Re)compute the SLA deadline of the problems matching `condition` (written against `target`).
+// A policy for the exact category and priority beats a category-only one, which beats a
+// priority-only one; ties go to the strictest deadline.
+async function applySlaPolicies(condition, params = []) {
+  const result = await client.query(`
+    UPDATE problems p
+    SET sla_policy_id = best.id,
+        sla_due_at = p.created_at + make_interval(hours => best.resolution_hours)
+    FROM problems target
+    LEFT JOIN LATERAL (
+      SELECT sp.id, sp.resolution_hours
+      FROM sla_policies sp
+      WHERE sp.is_active
+        AND (sp.category IS NULL OR sp.category = ANY(target.problem_categories))
+        AND (sp.priority IS NULL OR sp.priority = target.priority)
+      ORDER BY (sp.category IS NOT NULL) DESC, (sp.priority IS NOT NULL) DESC, sp.resolution_hours ASC
+      LIMIT 1
+    ) best ON true
+    WHERE p.id = target.id AND ${condition}
+    RETURNING p.*
+  `, params);
+  return result.rows;
+}
+
+// Re-evaluate deadlines of open, not yet breached problems after the policies change
+async function reapplySlaPoliciesToOpenProblems() {
+  await applySlaPolicies('target.sla_breached_at IS NULL AND NOT (target.status = ANY($1))', [CLOSED_STATUSES]);
+}
+
+async function departmentHeadIds(department) {
+  const result = await client.query(`
+    SELECT id FROM users WHERE role = 'department-head' AND department = $1 AND is_active = true
+    UNION
+    SELECT head_id FROM departments WHERE name = $1 AND head_id IS NOT NULL
+  `, [department]);
+  return result.rows.map(row => row.id);
+}
+
+async function districtMagistrateIds() {
+  const result = await client.query(`
+    SELECT id FROM users WHERE role = 'district-magistrate' AND is_active = true
+  `);
+  return result.rows.map(row => row.id);
+}
+
+async function escalateProblem(problem, level, notes) {
+  await client.query(`
+    UPDATE problems
+    SET escalation_level = $1, sla_breached_at = COALESCE(sla_breached_at, CURRENT_TIMESTAMP)
+    WHERE id = $2
+  `, [level, problem.id]);
+
+  await client.query(`
+    INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes)
+    VALUES ($1, $2, $3, $4)
+  `, [problem.id, problem.status, null, notes]);
+
+  const recipientIds = level === 1 && problem.assigned_department
+    ? await departmentHeadIds(problem.assigned_department)
+    : await districtMagistrateIds();
+
+  if (recipientIds.length > 0) {
+    await createNotification({
+      title: `SLA breached: complaint #${problem.id}`,
+      message: notes,
+      type: 'urgent',
+      priority: 'high',
+      recipientIds,
+      department: problem.assigned_department,
+      category: 'complaint',
+      relatedProblemId: problem.id,
+      actionRequired: true
+    });
+  }
+}
+
+// Level 1: deadline passed - flag the breach and notify the department head.
+// Level 2: still open escalate_after_hours later - notify the district magistrate.
+// Problems without a department go straight to the district magistrate.
+async function checkSlaBreaches() {
+  const overdue = await client.query(`
+    SELECT p.id, p.status, p.priority, p.assigned_department, p.sla_due_at
+    FROM problems p
+    WHERE p.escalation_level = 0
+      AND p.sla_due_at < CURRENT_TIMESTAMP
+      AND p.parent_problem_id IS NULL
+      AND NOT (p.status = ANY($1))
+  `, [CLOSED_STATUSES]);
+
+  for (const problem of overdue.rows) {
+    const level = problem.assigned_department ? 1 : 2;
+    const target = level === 1 ? `department head of ${problem.assigned_department}` : 'district magistrate';
+    await escalateProblem(problem, level,
+      `SLA breached (due ${problem.sla_due_at.toISOString()}) - escalated to ${target}`);
+  }
+
+  const stillOpen = await client.query(`
+    SELECT p.id, p.status, p.priority, p.assigned_department, p.sla_due_at
+    FROM problems p
+    LEFT JOIN sla_policies sp ON p.sla_policy_id = sp.id
+    WHERE p.escalation_level = 1
+      AND p.sla_breached_at + make_interval(hours => COALESCE(sp.escalate_after_hours, 24)) < CURRENT_TIMESTAMP
+      AND p.parent_problem_id IS NULL
+      AND NOT (p.status = ANY($1))
+  `, [CLOSED_STATUSES]);
+
+  for (const problem of stillOpen.rows) {
+    await escalateProblem(problem, 2, 'SLA breach unresolved - escalated to district magistrate');
+  }
+
+  return { breached: overdue.rows.length, escalated: stillOpen.rows.length };
+}
+
+let slaCheckRunning = false;
+
+function startSlaScheduler() {
+  const runCheck = async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (slaCheckRunning) {
+      return;
+    }
+    slaCheckRunning = true;
+    try {
+      const result = await checkSlaBreaches();
+      if (result.breached > 0 || result.escalated > 0) {
+        console.log(`SLA check: ${result.breached} newly breached, ${result.escalated} escalated to district magistrate`);
+      }
+    } catch (error) {
+      console.error('SLA check error:', error);
+    } finally {
+      slaCheckRunning = false;
+    }
+  };
+
+  runCheck();
+  return setInterval(runCheck, SLA_CHECK_INTERVAL_MINUTES * 60 * 1000);
+}
+
+// ==================== PERFORMANCE STATISTICS ====================
+
+const STATS_REFRESH_INTERVAL_MINUTES = parseFloat(process.env.STATS_REFRESH_INTERVAL_MINUTES) || 60;
+
+// Returns an error message for a bad from/to range (YYYY-MM-DD, both optional), else null
+function validateStatsRange(from, to) {
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value === null) {
+      continue;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) ||
+      isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+      return `Invalid ${name} date, expected YYYY-MM-DD`;
+    }
+  }
+  if (from && to && from > to) {
+    return 'from must not be after to';
+  }
+  return null;
+}
+
+// SQL condition limiting `column` to the inclusive date range bound as $1 (from) and $2 (to);
+// a null bound leaves that side open
+function statsRangeCondition(column) {
+  return `($1::date IS NULL OR ${column} >= $1::date) AND ($2::date IS NULL OR ${column} < $2::date + 1)`;
+}
+
+// Per-worker figures derived from the status history. A completion is credited to the worker
+// who held the problem when it was resolved, timed from their latest assignment to it. A problem
+// only counts as assigned while the worker still holds it, so reassignment undoes the count.
+// The efficiency rating averages citizen ratings with every reopen counted as a 1-star rating.
+async function computeWorkerStats({ from = null, to = null, workerIds = null } = {}) {
+  const result = await client.query(`
+    WITH events AS (
+      SELECT h.problem_id, h.status, h.worker_id, h.created_at
+      FROM problem_status_history h
+      WHERE h.worker_id IS NOT NULL AND ${statsRangeCondition('h.created_at')}
+    ),
+    completions AS (
+      SELECT e.worker_id,
+             EXTRACT(EPOCH FROM e.created_at - (
+               SELECT MAX(a.created_at)
+               FROM problem_status_history a
+               WHERE a.problem_id = e.problem_id AND a.worker_id = e.worker_id
+                 AND a.status = 'assigned' AND a.created_at <= e.created_at
+             )) / 3600 AS hours
+      FROM events e
+      WHERE e.status = 'resolved'
+    ),
+    ratings AS (
+      SELECT assigned_worker_id AS worker_id, SUM(citizen_rating) AS rating_sum, COUNT(*) AS rating_count
+      FROM problems
+      WHERE citizen_rating IS NOT NULL AND ${statsRangeCondition('feedback_at')}
+      GROUP BY assigned_worker_id
+    )
+    SELECT 
+      u.id AS user_id,
+      u.name,
+      u.department,
+      (SELECT COUNT(DISTINCT e.problem_id) FROM events e JOIN problems p ON p.id = e.problem_id
+        WHERE e.worker_id = u.id AND e.status = 'assigned' AND p.assigned_worker_id = u.id) AS total_assigned,
+      (SELECT COUNT(*) FROM completions c WHERE c.worker_id = u.id) AS total_completed,
+      (SELECT ROUND(AVG(c.hours)::numeric, 2) FROM completions c WHERE c.worker_id = u.id) AS avg_completion_time,
+      (SELECT COUNT(*) FROM events e WHERE e.worker_id = u.id AND e.status = 'reopened') AS total_reopened,
+      COALESCE(r.rating_sum, 0) AS rating_sum,
+      COALESCE(r.rating_count, 0) AS rating_count
+    FROM users u
+    LEFT JOIN ratings r ON r.worker_id = u.id
+    WHERE u.role = 'field-worker' AND ($3::int[] IS NULL OR u.id = ANY($3))
+    ORDER BY u.id
+  `, [from, to, workerIds]);
+
+  return result.rows.map(row => {
+    const totalReopened = parseInt(row.total_reopened);
+    const ratingCount = parseInt(row.rating_count) + totalReopened;
+    return {
+      user_id: row.user_id,
+      name: row.name,
+      department: row.department,
+      total_assigned: parseInt(row.total_assigned),
+      total_completed: parseInt(row.total_completed),
+      total_reopened: totalReopened,
+      avg_completion_time: row.avg_completion_time === null ? null : parseFloat(row.avg_completion_time),
+      efficiency_rating: ratingCount > 0
+        ? Math.round(((parseInt(row.rating_sum) + totalReopened) / ratingCount) * 100) / 100
+        : 0
+    };
+  });
+}
+
+// Per-department figures: complaints filed, resolved and rated within the range
+async function computeDepartmentStats({ from = null, to = null, departments = null } = {}) {
+  const resolved = `p.status = ANY($4::text[]) AND ${statsRangeCondition('p.resolved_at')}`;
+  const result = await client.query(`
+    SELECT 
+      d.name,
+      d.name_en,
+      (SELECT COUNT(*) FROM users u
+        WHERE u.role = 'field-worker' AND u.is_active = true AND u.department = d.name) AS total_workers,
+      COUNT(p.id) FILTER (WHERE ${statsRangeCondition('p.created_at')}) AS total_complaints,
+      COUNT(p.id) FILTER (WHERE ${resolved}) AS resolved_complaints,
+      ROUND((AVG(EXTRACT(EPOCH FROM p.resolved_at - p.created_at) / 86400) FILTER (WHERE ${resolved}))::numeric, 2) AS avg_resolution_time,
+      ROUND(AVG(p.citizen_rating) FILTER (WHERE p.citizen_rating IS NOT NULL AND ${statsRangeCondition('p.feedback_at')}), 2) AS rating
+    FROM departments d
+    LEFT JOIN problems p ON p.assigned_department = d.name
+    WHERE $3::text[] IS NULL OR d.name = ANY($3)
+    GROUP BY d.id, d.name, d.name_en
+    ORDER BY d.name
+  `, [from, to, departments, RESOLVED_STATUSES]);
+
+  return result.rows.map(row => ({
+    name: row.name,
+    name_en: row.name_en,
+    total_workers: parseInt(row.total_workers),
+    total_complaints: parseInt(row.total_complaints),
+    resolved_complaints: parseInt(row.resolved_complaints),
+    avg_resolution_time: row.avg_resolution_time === null ? null : parseFloat(row.avg_resolution_time),
+    rating: row.rating === null ? 0 : parseFloat(row.rating)
+  }));
+}
+
+// Write all-time figures back onto the workers and departments tables
+async function saveWorkerStats(workerStats) {
+  for (const stats of workerStats) {
+    await client.query(`
+      UPDATE workers
+      SET total_assigned = $1, total_completed = $2, total_reopened = $3,
+          avg_completion_time = $4, efficiency_rating = $5, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $6
+    `, [stats.total_assigned, stats.total_completed, stats.total_reopened,
+      stats.avg_completion_time, stats.efficiency_rating, stats.user_id]);
+  }
+}
+
+async function saveDepartmentStats(departmentStats) {
+  for (const stats of departmentStats) {
+    await client.query(`
+      UPDATE departments
+      SET total_workers = $1, total_complaints = $2, resolved_complaints = $3,
+          avg_resolution_time = $4, rating = $5, updated_at = CURRENT_TIMESTAMP
+      WHERE name = $6
+    `, [stats.total_workers, stats.total_complaints, stats.resolved_complaints,
+      stats.avg_resolution_time, stats.rating, stats.name]);
+  }
+}
+
+// Event-driven refresh of the workers and departments touched by a change
+async function refreshStatistics({ workerIds = [], departments = [] }) {
+  const ids = [...new Set(workerIds.filter(Boolean))];
+  const names = [...new Set(departments.filter(Boolean))];
+
+  if (ids.length > 0) {
+    await saveWorkerStats(await computeWorkerStats({ workerIds: ids }));
+  }
+  if (names.length > 0) {
+    await saveDepartmentStats(await computeDepartmentStats({ departments: names }));
+  }
+}
+
+// Status changes only mark workers and departments as stale. A single refresh shortly after
+// picks up everything that changed in the meantime, outside the request that caused it.
+const STATS_REFRESH_DELAY_MS = 2000;
+const staleStatistics = { workerIds: new Set(), departments: new Set() };
+let statsRefreshTimer = null;
+
+function queueStatisticsRefresh({ workerIds = [], departments = [] }) {
+  workerIds.filter(Boolean).forEach(id => staleStatistics.workerIds.add(id));
+  departments.filter(Boolean).forEach(name => staleStatistics.departments.add(name));
+
+  if (statsRefreshTimer) {
+    return;
+  }
+  statsRefreshTimer = setTimeout(async () => {
+    statsRefreshTimer = null;
+    const stale = { workerIds: [...staleStatistics.workerIds], departments: [...staleStatistics.departments] };
+    staleStatistics.workerIds.clear();
+    staleStatistics.departments.clear();
+    try {
+      await refreshStatistics(stale);
+    } catch (error) {
+      console.error('Statistics refresh error:', error);
+    }
+  }, STATS_REFRESH_DELAY_MS);
+}
+
+// Full recomputation. The result is stored in the analytics table as one row per worker
+// and department for the date range, replacing an earlier snapshot of the same range; an
+// open range (all time) is also written back onto the workers and departments tables.
+async function rebuildStatistics({ from = null, to = null } = {}) {
+  const workers = await computeWorkerStats({ from, to });
+  const departments = await computeDepartmentStats({ from, to });
+
+  if (!from && !to) {
+    await saveWorkerStats(workers);
+    await saveDepartmentStats(departments);
+  }
+
+  await client.query(`
+    DELETE FROM analytics
+    WHERE metric_name IN ('worker_performance', 'department_performance')
+      AND date_range_start IS NOT DISTINCT FROM $1::date
+      AND date_range_end IS NOT DISTINCT FROM $2::date
+  `, [from, to]);
+
+  for (const stats of workers) {
+    await client.query(`
+      INSERT INTO analytics (metric_name, metric_value, metric_data, department, date_range_start, date_range_end)
+      VALUES ('worker_performance', $1, $2, $3, $4, $5)
+    `, [stats.efficiency_rating, stats, stats.department, from, to]);
+  }
+
+  for (const stats of departments) {
+    await client.query(`
+      INSERT INTO analytics (metric_name, metric_value, metric_data, department, date_range_start, date_range_end)
+      VALUES ('department_performance', $1, $2, $3, $4, $5)
+    `, [stats.rating, stats, stats.name, from, to]);
+  }
+
+  return { workers, departments };
+}
+
+// History written before workers were recorded on it: assignments take the worker from their
+// "Worker assigned: <id>" note (and were logged as in-progress), completions from the problem
+async function backfillStatusHistory() {
+  await client.query(`
+    UPDATE problem_status_history
+    SET worker_id = substring(notes FROM '^Worker assigned: ([0-9]+)$')::int, status = 'assigned'
+    WHERE worker_id IS NULL AND notes ~ '^Worker assigned: [0-9]+$'
+      AND EXISTS (SELECT 1 FROM users WHERE id = substring(notes FROM '^Worker assigned: ([0-9]+)$')::int)
+  `);
+
+  // Only rows that changed the status are lifecycle events. Rows repeating the current status
+  // (supports, SLA escalations, manual routing, merges) and statuses copied onto merged
+  // duplicates are notes about the problem, not work by its worker.
+  await client.query(`
+    WITH lifecycle AS (
+      SELECT id, LAG(status) OVER (PARTITION BY problem_id ORDER BY created_at, id) AS previous_status
+      FROM problem_status_history
+    )
+    UPDATE problem_status_history h
+    SET worker_id = p.assigned_worker_id,
+        status = CASE WHEN h.status = 'completed' THEN 'resolved' ELSE h.status END
+    FROM problems p, lifecycle l
+    WHERE h.problem_id = p.id AND l.id = h.id AND h.worker_id IS NULL
+      AND h.status IN ('completed', 'resolved', 'in-progress', 'reopened')
+      AND l.previous_status IS DISTINCT FROM h.status
+      AND COALESCE(h.notes, '') NOT LIKE 'Status of merged problem #%'
+      AND p.assigned_worker_id IS NOT NULL
+  `);
+}
+
+let statsRebuildRunning = false;
+
+function startStatsScheduler() {
+  const runRebuild = async () => {
+    if (statsRebuildRunning) {
+      return;
+    }
+    statsRebuildRunning = true;
+    try {
+      await rebuildStatistics();
+    } catch (error) {
+      console.error('Statistics rebuild error:', error);
+    } finally {
+      statsRebuildRunning = false;
+    }
+  };
+
+  runRebuild();
+  return setInterval(runRebuild, STATS_REFRESH_INTERVAL_MINUTES * 60 * 1000);
+}
+
+// ==================== WORKER RECOMMENDATIONS ====================
+
+const RECOMMENDATION_MAX_DISTANCE_KM = parseFloat(process.env.RECOMMENDATION_MAX_DISTANCE_KM) || 10;
+// 0 is a valid threshold (assign whoever ranks first), so only an unset or invalid value falls back
+const AUTO_ASSIGN_MIN_SCORE = isNaN(parseFloat(process.env.AUTO_ASSIGN_MIN_SCORE))
+  ? 0.5
+  : parseFloat(process.env.AUTO_ASSIGN_MIN_SCORE);
+
+// Share of the final score each factor contributes
+const RECOMMENDATION_WEIGHTS = {
+  specialization: 0.35,
+  distance: 0.25,
+  availability: 0.15,
+  load: 0.15,
+  speed: 0.10
+};
+
+// Availability by workers.current_status; unknown statuses score in between
+const WORKER_STATUS_SCORES = {
+  'available': 1,
+  'busy': 0.4,
+  'on-break': 0.2,
+  'offline': 0,
+  'on-leave': 0
+};
+
+// Rank active field workers for a problem. Candidates come from `department` when given, which
+// callers use to keep department heads to their own workers, otherwise from the problem's
+// department; every factor is scored 0-1 and weighted.
+async function recommendWorkers(problem, { department = null, limit = 10 } = {}) {
+  const result = await client.query(`
+    WITH problem_categories AS (
+      SELECT lower(category) AS category FROM unnest($1::text[]) AS category
+      UNION
+      SELECT lower(alias.category)
+      FROM category_department_routes route
+      JOIN category_department_routes alias ON alias.canonical_category = route.canonical_category
+      WHERE route.category = ANY($1::text[])
+    )
+    SELECT 
+      u.id AS user_id,
+      u.name,
+      u.department,
+      COALESCE(w.specializations, '{}') AS specializations,
+      COALESCE(w.current_status, 'available') AS current_status,
+      w.avg_completion_time,
+      ARRAY(
+        SELECT specialization FROM unnest(COALESCE(w.specializations, '{}')) AS specialization
+        WHERE lower(specialization) IN (SELECT category FROM problem_categories)
+      ) AS matched_specializations,
+      CASE WHEN w.location_lat IS NULL OR w.location_lng IS NULL THEN NULL ELSE
+        6371 * 2 * ASIN(SQRT(
+          POWER(SIN(RADIANS(w.location_lat - $2) / 2), 2) +
+          COS(RADIANS($2)) * COS(RADIANS(w.location_lat)) * POWER(SIN(RADIANS(w.location_lng - $3) / 2), 2)
+        ))
+      END AS distance_km,
+      (SELECT COUNT(*) FROM problems p
+        WHERE p.assigned_worker_id = u.id AND p.status = ANY($5::text[])) AS open_load
+    FROM users u
+    LEFT JOIN workers w ON w.user_id = u.id
+    WHERE u.role = 'field-worker' AND u.is_active = true
+      AND ($4::text IS NULL OR u.department = $4)
+  `, [
+    problem.problem_categories,
+    parseFloat(problem.latitude),
+    parseFloat(problem.longitude),
+    department || problem.assigned_department,
+    [...ACTIVE_STATUSES, 'reopened']
+  ]);
+
+  return result.rows
+    .map(worker => {
+      const distanceKm = worker.distance_km === null ? null : parseFloat(worker.distance_km);
+      const openLoad = parseInt(worker.open_load);
+      const avgHours = worker.avg_completion_time === null ? null : parseFloat(worker.avg_completion_time);
+
+      const breakdown = {
+        specialization: worker.matched_specializations.length > 0 ? 1 : 0,
+        distance: distanceKm === null ? 0 : Math.max(0, 1 - distanceKm / RECOMMENDATION_MAX_DISTANCE_KM),
+        availability: WORKER_STATUS_SCORES[worker.current_status] ?? 0.5,
+        load: 1 / (1 + openLoad),
+        // Workers without completion history get a neutral score
+        speed: avgHours === null ? 0.5 : 24 / (24 + avgHours)
+      };
+      const score = Object.entries(RECOMMENDATION_WEIGHTS)
+        .reduce((total, [factor, weight]) => total + weight * breakdown[factor], 0);
+
+      return {
+        user_id: worker.user_id,
+        name: worker.name,
+        department: worker.department,
+        specializations: worker.specializations,
+        matched_specializations: worker.matched_specializations,
+        current_status: worker.current_status,
+        distance_km: distanceKm === null ? null : Math.round(distanceKm * 100) / 100,
+        open_load: openLoad,
+        avg_completion_time: avgHours,
+        currently_assigned: worker.user_id === problem.assigned_worker_id,
+        score: Math.round(score * 1000) / 1000,
+        breakdown: Object.fromEntries(
+          Object.entries(breakdown).map(([factor, value]) => [factor, Math.round(value * 1000) / 1000])
+        )
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Assign a freshly routed problem to the best available worker when its department has
+// opted in. Returns the problem unchanged when nothing qualifies.
+async function autoAssignProblem(problem) {
+  if (!problem.assigned_department || problem.assigned_worker_id || problem.status !== 'triaged') {
+    return problem;
+  }
+
+  const departmentResult = await client.query(`
+    SELECT auto_assign FROM departments WHERE name = $1
+  `, [problem.assigned_department]);
+
+  if (!departmentResult.rows[0]?.auto_assign) {
+    return problem;
+  }
+
+  const [best] = (await recommendWorkers(problem))
+    .filter(worker => worker.breakdown.availability > 0 && worker.score >= AUTO_ASSIGN_MIN_SCORE);
+
+  if (!best) {
+    return problem;
+  }
+
+  const assigned = await changeProblemStatus(problem.id, 'assigned', null, `Auto-assigned to ${best.name} (score ${best.score})`, {
+    assigned_worker_id: best.user_id
+  });
+
+  await createNotification({
+    title: `New complaint #${problem.id} assigned`,
+    message: `You have been assigned complaint #${problem.id} (${problem.problem_categories.join(', ')})`,
+    priority: problem.priority === 'high' ? 'high' : 'medium',
+    recipientIds: [best.user_id],
+    department: problem.assigned_department,
+    relatedProblemId: problem.id,
+    actionRequired: true
+  });
+
+  return assigned;
+}
+
+// ==================== WORKER TASK QUEUE ====================
+
+// Statuses in which a problem is on its worker's to-do list
+const TASK_STATUSES = ['assigned', 'in-progress', 'reopened'];
+
+function distanceKm(fromLat, fromLng, toLat, toLng) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(toLat - fromLat);
+  const dLng = toRadians(toLng - fromLng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+}
+
+// Greedy nearest-neighbour visiting order. Without a known start the route begins
+// at the first task, which callers pass in priority order.
+function planTaskRoute(start, tasks) {
+  const remaining = [...tasks];
+  const stops = [];
+  let current = start;
+  let total = 0;
+
+  if (!current && remaining.length > 0) {
+    const first = remaining.shift();
+    stops.push({ problem_id: first.id, distance_km: 0 });
+    current = { lat: parseFloat(first.latitude), lng: parseFloat(first.longitude) };
+  }
+
+  while (remaining.length > 0) {
+    let nearestIndex = 0;
+    let nearestDistance = Infinity;
+    remaining.forEach((task, index) => {
+      const distance = distanceKm(current.lat, current.lng, parseFloat(task.latitude), parseFloat(task.longitude));
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearestIndex = index;
+      }
+    });
+
+    const [next] = remaining.splice(nearestIndex, 1);
+    stops.push({ problem_id: next.id, distance_km: Math.round(nearestDistance * 100) / 100 });
+    total += nearestDistance;
+    current = { lat: parseFloat(next.latitude), lng: parseFloat(next.longitude) };
+  }
+
+  return { start, stops, total_distance_km: Math.round(total * 100) / 100 };
+}
+
+// A problem on the worker's task list, or null when it is not theirs
+async function findWorkerTask(workerId, problemId) {
+  const result = await client.query(`
+    SELECT * FROM problems WHERE id = $1 AND assigned_worker_id = $2
+  `, [problemId, workerId]);
+  return result.rows[0] || null;
+}
+
+// ==================== USER ADMINISTRATION ====================
+
+// Roles that belong to a department; citizens and the district magistrate have none
+const DEPARTMENT_ROLES = ['field-worker', 'department-head'];
+
+// Hand a worker's open tasks to the best available colleague in the problem's department,
+// or return them to the department queue when nobody is available. Called after the worker
+// was deactivated, moved or given another role, so they are no longer a candidate.
+async function reassignOpenTasks(worker, actorId, reason) {
+  const result = await client.query(`
+    SELECT * FROM problems
+    WHERE assigned_worker_id = $1 AND status = ANY($2::text[])
+    ORDER BY id
+  `, [worker.id, TASK_STATUSES]);
+
+  const outcomes = [];
+  for (const task of result.rows) {
+    const department = task.assigned_department || worker.department;
+    const [best] = (await recommendWorkers(task, { department, limit: Infinity }))
+      .filter(candidate => candidate.user_id !== worker.id && candidate.breakdown.availability > 0);
+
+    if (best) {
+      await changeProblemStatus(task.id, 'assigned', actorId,
+        `Reassigned from ${worker.name} to ${best.name}: ${reason}`,
+        { assigned_worker_id: best.user_id, accepted_at: null });
+
+      await createNotification({
+        title: `Complaint #${task.id} reassigned to you`,
+        message: `Complaint #${task.id} (${task.problem_categories.join(', ')}) was reassigned to you from ${worker.name}`,
+        priority: task.priority === 'high' ? 'high' : 'medium',
+        senderId: actorId,
+        recipientIds: [best.user_id],
+        department: task.assigned_department,
+        relatedProblemId: task.id,
+        actionRequired: true
+      });
+
+      outcomes.push({ problem_id: task.id, outcome: 'reassigned', worker_id: best.user_id, worker_name: best.name });
+    } else {
+      await changeProblemStatus(task.id, 'triaged', actorId,
+        `Returned to the department queue from ${worker.name}: ${reason}`,
+        { assigned_worker_id: null, accepted_at: null });
+
+      if (task.assigned_department) {
+        await createNotification({
+          title: `Complaint #${task.id} needs a worker`,
+          message: `Complaint #${task.id} was taken from ${worker.name} (${reason}) and no available worker was found`,
+          type: 'warning',
+          senderId: actorId,
+          recipientIds: await departmentHeadIds(task.assigned_department),
+          department: task.assigned_department,
+          relatedProblemId: task.id,
+          actionRequired: true
+        });
+      }
+
+      outcomes.push({ problem_id: task.id, outcome: 'returned-to-queue', worker_id: null, worker_name: null });
+    }
+  }
+
+  return outcomes;
+}
+
+// The user row an administrative change is checked against. Returns { error, statusCode }
+// when the change would lock the district out of its last active magistrate.
+async function loadManagedUser(userId, actor, { removesMagistrate = false } = {}) {
+  const result = await client.query(`
+    SELECT id, name, email, role, department, is_active FROM users WHERE id = $1
+  `, [userId]);
+
+  if (result.rows.length === 0) {
+    return { statusCode: 404, error: 'User not found' };
+  }
+
+  const user = result.rows[0];
+  if (user.id === actor.id) {
+    return { statusCode: 400, error: 'You cannot change your own account status, role or department' };
+  }
+
+  if (removesMagistrate && user.role === 'district-magistrate' && user.is_active) {
+    const others = await client.query(`
+      SELECT COUNT(*)::int AS count FROM users
+      WHERE role = 'district-magistrate' AND is_active = true AND id <> $1
+    `, [user.id]);
+    if (others.rows[0].count === 0) {
+      return { statusCode: 409, error: 'This is the last active district magistrate' };
+    }
+  }
+
+  return { user };
+}
+
+// Follow-up work after a user left a role or department: their open tasks move on,
+// departments they headed lose them as head, and they are signed out everywhere.
+async function releaseUserResponsibilities(previous, actorId, reason, sessionReason, {
+  reassignTasks = previous.role === 'field-worker'
+} = {}) {
+  let reassignments = [];
+  if (reassignTasks) {
+    reassignments = await reassignOpenTasks(previous, actorId, reason);
+  }
+
+  await client.query(`
+    UPDATE departments SET head_id = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE head_id = $1 AND (name IS DISTINCT FROM (SELECT department FROM users WHERE id = $1)
+      OR NOT EXISTS (SELECT 1 FROM users WHERE id = $1 AND is_active = true AND role = 'department-head'))
+  `, [previous.id]);
+
+  await revokeUserSessions(previous.id, sessionReason);
+  return reassignments;
+}
+
+// ==================== WORKER LOCATIONS ====================
+
+const LOCATION_RETENTION_DAYS = parseFloat(process.env.LOCATION_RETENTION_DAYS) || 90;
+const LOCATION_DOWNSAMPLE_AFTER_HOURS = parseFloat(process.env.LOCATION_DOWNSAMPLE_AFTER_HOURS) || 24;
+const LOCATION_DOWNSAMPLE_INTERVAL_MINUTES = parseFloat(process.env.LOCATION_DOWNSAMPLE_INTERVAL_MINUTES) || 5;
+const LOCATION_MAX_BATCH_SIZE = 1000;
+const LOCATION_MAINTENANCE_INTERVAL_MINUTES = 60;
+
+// Validate a reported GPS point; returns the normalised point or { error }
+function parseLocationPoint(point) {
+  const latitude = parseFloat(point?.latitude);
+  const longitude = parseFloat(point?.longitude);
+
+  if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return { error: 'latitude and longitude must be valid coordinates' };
+  }
+
+  const recordedAt = point.recorded_at ? new Date(point.recorded_at) : new Date();
+  if (isNaN(recordedAt.getTime())) {
+    return { error: 'recorded_at must be a valid timestamp' };
+  }
+  // Allow a little clock skew, but no points from the future
+  if (recordedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+    return { error: 'recorded_at is in the future' };
+  }
+
+  const accuracy = point.accuracy_m === undefined || point.accuracy_m === null ? null : parseFloat(point.accuracy_m);
+
+  return { latitude, longitude, recorded_at: recordedAt, accuracy_m: isNaN(accuracy) ? null : accuracy };
+}
+
+// Append points to a worker's trail and move their last known position forward if any point
+// is newer than it. Offline batches can arrive late, so older points only extend the trail.
+async function recordWorkerLocations(userId, points, source = 'live') {
+  if (points.length === 0) {
+    return;
+  }
+
+  await client.query(`
+    INSERT INTO worker_locations (user_id, latitude, longitude, accuracy_m, recorded_at, source)
+    SELECT $1, point.latitude, point.longitude, point.accuracy_m, point.recorded_at, $6
+    FROM unnest($2::decimal[], $3::decimal[], $4::decimal[], $5::timestamp[])
+      AS point(latitude, longitude, accuracy_m, recorded_at)
+  `, [
+    userId,
+    points.map(point => point.latitude),
+    points.map(point => point.longitude),
+    points.map(point => point.accuracy_m),
+    points.map(point => point.recorded_at),
+    source
+  ]);
+
+  const latest = points.reduce((newest, point) => point.recorded_at > newest.recorded_at ? point : newest);
+
+  await client.query(`
+    UPDATE workers
+    SET location_lat = $1, location_lng = $2, location_updated_at = $3, last_active = CURRENT_TIMESTAMP
+    WHERE user_id = $4 AND (location_updated_at IS NULL OR location_updated_at <= $3)
+  `, [latest.latitude, latest.longitude, latest.recorded_at, userId]);
+}
+
+// Closest a worker's trail came to a point within a time window, or null without points
+async function closestApproach(userId, latitude, longitude, from, to) {
+  const result = await client.query(`
+    SELECT recorded_at,
+           6371000 * 2 * ASIN(SQRT(
+             POWER(SIN(RADIANS(latitude - $2) / 2), 2) +
+             COS(RADIANS($2)) * COS(RADIANS(latitude)) * POWER(SIN(RADIANS(longitude - $3) / 2), 2)
+           )) AS distance_m
+    FROM worker_locations
+    WHERE user_id = $1 AND recorded_at BETWEEN $4 AND $5
+    ORDER BY distance_m
+    LIMIT 1
+  `, [userId, parseFloat(latitude), parseFloat(longitude), from, to]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    distance_m: Math.round(parseFloat(result.rows[0].distance_m)),
+    recorded_at: result.rows[0].recorded_at
+  };
+}
+
+// Drop points past retention and thin old points to one per worker per interval
+async function maintainWorkerLocations() {
+  const expired = await client.query(`
+    DELETE FROM worker_locations
+    WHERE recorded_at < CURRENT_TIMESTAMP - make_interval(days => $1::int)
+  `, [Math.ceil(LOCATION_RETENTION_DAYS)]);
+
+  const thinned = await client.query(`
+    DELETE FROM worker_locations
+    WHERE id IN (
+      SELECT id FROM (
+        SELECT id, ROW_NUMBER() OVER (
+          PARTITION BY user_id, FLOOR(EXTRACT(EPOCH FROM recorded_at) / ($2::float * 60))
+          ORDER BY recorded_at
+        ) AS bucket_position
+        FROM worker_locations
+        WHERE recorded_at < CURRENT_TIMESTAMP - make_interval(secs => $1::float * 3600)
+      ) bucketed
+      WHERE bucket_position > 1
+    )
+  `, [LOCATION_DOWNSAMPLE_AFTER_HOURS, LOCATION_DOWNSAMPLE_INTERVAL_MINUTES]);
+
+  return { expired: expired.rowCount, thinned: thinned.rowCount };
+}
+
+let locationMaintenanceRunning = false;
+
+function startLocationMaintenance() {
+  const runMaintenance = async () => {
+    if (locationMaintenanceRunning) {
+      return;
+    }
+    locationMaintenanceRunning = true;
+    try {
+      const result = await maintainWorkerLocations();
+      if (result.expired > 0 || result.thinned > 0) {
+        console.log(`Worker locations: ${result.expired} expired, ${result.thinned} downsampled`);
+      }
+    } catch (error) {
+      console.error('Worker location maintenance error:', error);
+    } finally {
+      locationMaintenanceRunning = false;
+    }
+  };
+
+  runMaintenance();
+  return setInterval(runMaintenance, LOCATION_MAINTENANCE_INTERVAL_MINUTES * 60 * 1000);
+}
+
+// ==================== PROOF OF WORK ====================
+
+// Completions scoring below the threshold go to the supervisor review queue
+const PROOF_REVIEW_THRESHOLD = parseFloat(process.env.PROOF_REVIEW_THRESHOLD) || 0.6;
+// Photo or worker within this distance of the problem counts as on site
+const PROOF_MAX_DISTANCE_M = parseFloat(process.env.PROOF_MAX_DISTANCE_M) || 150;
+const PROOF_MAX_PHOTO_AGE_HOURS = parseFloat(process.env.PROOF_MAX_PHOTO_AGE_HOURS) || 48;
+const PROOF_PRESENCE_WINDOW_HOURS = parseFloat(process.env.PROOF_PRESENCE_WINDOW_HOURS) || 24;
+
+// Share of the verification score each check contributes. A check that cannot be made
+// (no EXIF, no trail, AI unavailable) scores a neutral 0.5, so missing evidence alone
+// keeps a completion below the default threshold.
+const PROOF_WEIGHTS = {
+  ai_comparison: 0.5,
+  photo_location: 0.2,
+  photo_time: 0.1,
+  worker_presence: 0.2
+};
+
+// 1 within PROOF_MAX_DISTANCE_M, falling to 0 at five times that distance
+function proofDistanceScore(distanceM) {
+  if (distanceM <= PROOF_MAX_DISTANCE_M) {
+    return 1;
+  }
+  return Math.max(0, 1 - (distanceM - PROOF_MAX_DISTANCE_M) / (4 * PROOF_MAX_DISTANCE_M));
+}
+
+// Ask the AI provider whether the "after" photo shows the same place as the "before" photo with the issue fixed
+async function compareCompletionImages(problem, before, after) {
+  const parsed = await runAiOperation(
+    'compare-images',
+    { userId: problem.assigned_worker_id, clientKey: null },
+    provider => provider.compareImages(problem, before, after)
+  );
+
+  const confidence = Math.min(Math.max(parseFloat(parsed.confidence) || 0, 0), 1);
+  return {
+    same_location: parsed.same_location === true,
+    issue_resolved: parsed.issue_resolved === true,
+    confidence,
+    explanation: parsed.explanation || null
+  };
+}
+
+// Score a completion photo against the problem: AI before/after comparison, EXIF GPS and
+// capture time, and whether the assigned worker's trail passed the site.
+async function verifyCompletionProof(problem, afterImage) {
+  const checks = {};
+  const now = new Date();
+
+  // AI before/after comparison, pulled towards neutral when the model is unsure
+  try {
+    const beforeBuffer = problem.user_image_key ? await blobStore.get(problem.user_image_key) : null;
+    if (!beforeBuffer) {
+      checks.ai_comparison = { score: null, reason: 'No citizen photo to compare with' };
+    } else {
+      const comparison = await compareCompletionImages(
+        problem,
+        { buffer: beforeBuffer, mimeType: problem.user_image_mimetype },
+        afterImage
+      );
+      const raw = (comparison.same_location ? 0.5 : 0) + (comparison.issue_resolved ? 0.5 : 0);
+      checks.ai_comparison = {
+        score: comparison.confidence * raw + (1 - comparison.confidence) * 0.5,
+        ...comparison
+      };
+    }
+  } catch (error) {
+    console.error('Completion image comparison error:', error.message);
+    checks.ai_comparison = { score: null, reason: 'AI comparison unavailable' };
+  }
+
+  // EXIF metadata of the completion photo
+  let exif = null;
+  try {
+    exif = await exifr.parse(afterImage.buffer, { tiff: true, exif: true, gps: true });
+  } catch (error) {
+    exif = null;
+  }
+
+  if (exif && typeof exif.latitude === 'number' && typeof exif.longitude === 'number') {
+    const distanceM = Math.round(distanceKm(exif.latitude, exif.longitude, parseFloat(problem.latitude), parseFloat(problem.longitude)) * 1000);
+    checks.photo_location = {
+      score: proofDistanceScore(distanceM),
+      latitude: exif.latitude,
+      longitude: exif.longitude,
+      distance_m: distanceM
+    };
+  } else {
+    checks.photo_location = { score: null, reason: 'Photo has no GPS metadata' };
+  }
+
+  const takenAt = exif && (exif.DateTimeOriginal || exif.CreateDate);
+  if (takenAt instanceof Date && !isNaN(takenAt.getTime())) {
+    // An hour of slack for camera clocks in a different time zone setting
+    const slackMs = 60 * 60 * 1000;
+    const afterReport = takenAt.getTime() >= new Date(problem.created_at).getTime() - slackMs;
+    const recent = takenAt.getTime() >= now.getTime() - PROOF_MAX_PHOTO_AGE_HOURS * 3600 * 1000 &&
+      takenAt.getTime() <= now.getTime() + slackMs;
+    checks.photo_time = { score: afterReport && recent ? 1 : 0, taken_at: takenAt, after_report: afterReport, recent };
+  } else {
+    checks.photo_time = { score: null, reason: 'Photo has no capture time' };
+  }
+
+  // Did the assigned worker's location trail come near the site recently?
+  if (problem.assigned_worker_id) {
+    const approach = await closestApproach(
+      problem.assigned_worker_id,
+      problem.latitude,
+      problem.longitude,
+      new Date(now.getTime() - PROOF_PRESENCE_WINDOW_HOURS * 3600 * 1000),
+      now
+    );
+    checks.worker_presence = approach
+      ? { score: proofDistanceScore(approach.distance_m), ...approach }
+      : { score: null, reason: 'No worker location reported in the window' };
+  } else {
+    checks.worker_presence = { score: null, reason: 'No worker assigned' };
+  }
+
+  const score = Object.entries(PROOF_WEIGHTS)
+    .reduce((total, [check, weight]) => total + weight * (checks[check].score ?? 0.5), 0);
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    threshold: PROOF_REVIEW_THRESHOLD,
+    needs_review: score < PROOF_REVIEW_THRESHOLD,
+    checks
+  };
+}
+
+// ==================== AI PROVIDERS ====================
+
+// Provider selection: AI_PROVIDER=gemini|stub|none. Without it, Gemini is used when
+// GEMINI_API_KEY is set, the offline stub in development and nothing in production.
+const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS) || 20000;
+const AI_MAX_RETRIES = process.env.AI_MAX_RETRIES !== undefined ? parseInt(process.env.AI_MAX_RETRIES) || 0 : 2;
+const AI_RETRY_BASE_DELAY_MS = 500;
+// Consecutive failed calls that open the circuit, and how long it stays open
+const AI_CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 5;
+const AI_CIRCUIT_COOLDOWN_SECONDS = parseInt(process.env.AI_CIRCUIT_COOLDOWN_SECONDS) || 60;
+// Provider calls allowed per rolling 24 hours; cached results do not count
+const AI_USER_DAILY_QUOTA = parseInt(process.env.AI_USER_DAILY_QUOTA) || 100;
+const AI_GLOBAL_DAILY_QUOTA = parseInt(process.env.AI_GLOBAL_DAILY_QUOTA) || 5000;
+const AI_CACHE_TTL_HOURS = parseInt(process.env.AI_CACHE_TTL_HOURS) || 24 * 7;
+
+const COMPLETION_COMPARISON_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    same_location: { type: SchemaType.BOOLEAN },
+    issue_resolved: { type: SchemaType.BOOLEAN },
+    confidence: { type: SchemaType.NUMBER },
+    explanation: { type: SchemaType.STRING }
+  },
+  required: ['same_location', 'issue_resolved', 'confidence', 'explanation']
+};
+
+function completionComparisonPrompt(problem) {
+  return `You are verifying that a reported civic issue was fixed.
+The first image is the citizen's photo of the problem (${problem.problem_categories.join(', ')}).
+The second image is the field worker's photo taken after the work.
+
+- same_location: both photos show the same place (landmarks, walls, road layout)
+- issue_resolved: the problem visible in the first photo is gone in the second
+- confidence: how sure you are about both answers, from 0 to 1
+- explanation: one short sentence`;
+}
+
+// Every provider exposes analyzeImage (raw IMAGE_ANALYSIS_SCHEMA object) and
+// compareImages (raw COMPLETION_COMPARISON_SCHEMA object)
+function createGeminiAiProvider({ apiKey, model }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  const generateJson = async (parts, responseSchema) => {
+    const generativeModel = genAI.getGenerativeModel({
+      model,
+      generationConfig: { responseMimeType: 'application/json', responseSchema }
+    }, { timeout: AI_TIMEOUT_MS });
+    const result = await generativeModel.generateContent(parts);
+    return JSON.parse((await result.response).text());
+  };
+
+  return {
+    name: 'gemini',
+    model,
+
+    async analyzeImage(buffer, mimeType) {
+      return generateJson([
+        IMAGE_ANALYSIS_PROMPT,
+        { inlineData: { data: buffer.toString('base64'), mimeType } }
+      ], IMAGE_ANALYSIS_SCHEMA);
+    },
+
+    async compareImages(problem, before, after) {
+      return generateJson([
+        completionComparisonPrompt(problem),
+        { inlineData: { data: before.buffer.toString('base64'), mimeType: before.mimeType } },
+        { inlineData: { data: after.buffer.toString('base64'), mimeType: after.mimeType } }
+      ], COMPLETION_COMPARISON_SCHEMA);
+    }
+  };
+}
+
+// Offline stub for development and tests - results depend only on the image bytes
+function createStubAiProvider() {
+  return {
+    name: 'stub',
+    model: 'stub-v1',
+
+    async analyzeImage(buffer) {
+      const digest = crypto.createHash('sha256').update(buffer).digest();
+      const categories = Object.keys(AI_CATEGORIES);
+      const category = categories[digest[0] % categories.length];
+      return {
+        categories: [{ category, confidence: 0.6 + (digest[1] / 255) * 0.4 }],
+        severity: AI_SEVERITIES[digest[2] % AI_SEVERITIES.length],
+        description_en: `Stub analysis: photo classified as ${category}.`,
+        description_hi: `परीक्षण विश्लेषण: फ़ोटो को ${category} श्रेणी में रखा गया।`,
+        is_relevant: true,
+        is_unsafe: false,
+        flag_reason: null
+      };
+    },
+
+    async compareImages(problem, before, after) {
+      const unchanged = before.buffer.equals(after.buffer);
+      return {
+        same_location: true,
+        issue_resolved: !unchanged,
+        confidence: 0.5,
+        explanation: unchanged ? 'Stub comparison: the photos are identical' : 'Stub comparison: the photos differ'
+      };
+    }
+  };
+}
+
+function createAiProvider() {
+  const provider = (process.env.AI_PROVIDER ||
+    (process.env.GEMINI_API_KEY ? 'gemini' : process.env.NODE_ENV === 'production' ? 'none' : 'stub')).toLowerCase();
+
+  if (provider === 'gemini') {
+    if (!process.env.GEMINI_API_KEY) {
+      throw new Error('GEMINI_API_KEY is required when AI_PROVIDER=gemini');
+    }
+    return createGeminiAiProvider({
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || 'gemini-2.0-flash'
+    });
+  }
+
+  if (provider === 'stub') {
+    return createStubAiProvider();
+  }
+
+  if (provider === 'none') {
+    return null;
+  }
+
+  throw new Error(`Unknown AI_PROVIDER: ${provider}`);
+}
+
+const aiProvider = createAiProvider();
+
+function aiError(statusCode, message, retryAfterSeconds = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.retryAfter = retryAfterSeconds;
+  return error;
+}
+
+// Send an AI error to the client, or return false when it is not one of ours
+function sendAiError(res, error) {
+  if (!error.statusCode) {
+    return false;
+  }
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.statusCode).json({ error: error.message });
+  return true;
+}
+
+const aiCircuit = { failures: 0, openUntil: 0 };
+
+function aiCircuitState() {
+  if (Date.now() < aiCircuit.openUntil) {
+    return 'open';
+  }
+  return aiCircuit.failures >= AI_CIRCUIT_FAILURE_THRESHOLD ? 'half-open' : 'closed';
+}
+
+// Rate limits, server errors, timeouts and network failures are worth retrying;
+// a rejected request or unparseable response is not
+function isRetryableAiError(error) {
+  if (error instanceof SyntaxError) {
+    return false;
+  }
+  if (error.status) {
+    return error.status === 429 || error.status >= 500;
+  }
+  return true;
+}
+
+function withAiTimeout(promise) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`AI request timed out after ${AI_TIMEOUT_MS}ms`)), AI_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Call the provider with a timeout and retries. Once the circuit opens, calls fail fast
+// until the cooldown passes; after that a single failure reopens it.
+async function callAiProvider(call) {
+  if (aiCircuitState() === 'open') {
+    const error = aiError(503, 'AI analysis is temporarily unavailable', Math.ceil((aiCircuit.openUntil - Date.now()) / 1000));
+    error.circuitOpen = true;
+    throw error;
+  }
+
+  let lastError;
+  for (let attempt = 0; attempt <= AI_MAX_RETRIES; attempt++) {
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, AI_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)));
+    }
+    try {
+      const result = await withAiTimeout(call());
+      aiCircuit.failures = 0;
+      return result;
+    } catch (error) {
+      lastError = error;
+      if (!isRetryableAiError(error)) {
+        throw error;
+      }
+    }
+  }
+
+  aiCircuit.failures += 1;
+  if (aiCircuit.failures >= AI_CIRCUIT_FAILURE_THRESHOLD) {
+    aiCircuit.openUntil = Date.now() + AI_CIRCUIT_COOLDOWN_SECONDS * 1000;
+    console.error(`AI provider circuit opened for ${AI_CIRCUIT_COOLDOWN_SECONDS}s after ${aiCircuit.failures} failures`);
+  }
+  console.error('AI provider error:', lastError.message);
+  throw aiError(503, 'AI analysis is temporarily unavailable', AI_CIRCUIT_COOLDOWN_SECONDS);
+}
+
+// Usage in the rolling 24-hour window, for one client or (clientKey null) everyone
+async function aiUsageInWindow(clientKey) {
+  const result = await client.query(`
+    SELECT COUNT(*)::int AS used,
+      CEIL(EXTRACT(EPOCH FROM (MIN(created_at) + INTERVAL '1 day' - NOW())))::int AS resets_in
+    FROM ai_usage
+    WHERE created_at > NOW() - INTERVAL '1 day'
+      AND ($1::text IS NULL OR client_key = $1)
+  `, [clientKey]);
+  return result.rows[0];
+}
+
+async function checkAiQuota(clientKey) {
+  const global = await aiUsageInWindow(null);
+  if (global.used >= AI_GLOBAL_DAILY_QUOTA) {
+    throw aiError(503, 'AI analysis budget for today is used up', Math.max(global.resets_in, 1));
+  }
+
+  if (clientKey) {
+    const own = await aiUsageInWindow(clientKey);
+    if (own.used >= AI_USER_DAILY_QUOTA) {
+      throw aiError(429, `AI analysis limit of ${AI_USER_DAILY_QUOTA} per day reached`, Math.max(own.resets_in, 1));
+    }
+  }
+}
+
+// Run one provider operation under the quotas and record it. requester.clientKey
+// identifies whose quota it counts against (null: only the global quota).
+async function runAiOperation(operation, requester, call) {
+  if (!aiProvider) {
+    throw aiError(503, 'AI analysis is not configured');
+  }
+
+  await checkAiQuota(requester.clientKey);
+
+  const startedAt = Date.now();
+  const recordUsage = (succeeded) => client.query(`
+    INSERT INTO ai_usage (operation, provider, user_id, client_key, succeeded, duration_ms)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [operation, aiProvider.name, requester.userId || null, requester.clientKey || null, succeeded, Date.now() - startedAt]);
+
+  try {
+    const result = await callAiProvider(() => call(aiProvider));
+    await recordUsage(true);
+    return result;
+  } catch (error) {
+    // Calls refused by the open circuit never reached the provider
+    if (!error.circuitOpen) {
+      await recordUsage(false);
+    }
+    throw error;
+  }
+}
+
+// ==================== AI IMAGE ANALYSIS ====================
+
+// Canonical categories the model may return, with what each covers
+const AI_CATEGORIES = {
+  'Garbage & Waste': 'roadside dumps, overflowing or missing bins, scattered waste, poor segregation',
+  'Traffic & Roads': 'potholes, broken roads, encroachments, heavy congestion, illegal parking',
+  'Pollution': 'dirty water bodies, smoke or emissions, open garbage burning',
+  'Drainage & Sewage': 'open or choked drains, blocked sewers, waterlogging',
+  'Public Spaces': 'damaged public property, poor toilets, park encroachment, poor maintenance',
+  'Housing & Slums': 'unplanned colonies, lack of sanitation or basic amenities',
+  'Street Lighting': 'broken or missing streetlights, dark areas',
+  'Other Issues': 'stray animals, safety hazards, other civic problems'
+};
+
+const AI_SEVERITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Categories below this confidence are reported but not offered as the problem's categories
+const AI_CATEGORY_MIN_CONFIDENCE = 0.5;
+
+const IMAGE_ANALYSIS_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    categories: {
+      type: SchemaType.ARRAY,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          category: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(AI_CATEGORIES) },
+          confidence: { type: SchemaType.NUMBER }
+        },
+        required: ['category', 'confidence']
+      }
+    },
+    severity: { type: SchemaType.STRING, format: 'enum', enum: AI_SEVERITIES },
+    description_en: { type: SchemaType.STRING },
+    description_hi: { type: SchemaType.STRING },
+    is_relevant: { type: SchemaType.BOOLEAN },
+    is_unsafe: { type: SchemaType.BOOLEAN },
+    flag_reason: { type: SchemaType.STRING, nullable: true }
+  },
+  required: ['categories', 'severity', 'description_en', 'description_hi', 'is_relevant', 'is_unsafe']
+};
+
+const IMAGE_ANALYSIS_PROMPT = `Analyze this photo submitted by a citizen to a civic complaint system in an Indian city.
+
+Categories (use only these exact names):
+${Object.entries(AI_CATEGORIES).map(([category, hint]) => `- ${category}: ${hint}`).join('\n')}
+
+Return:
+- categories: every category clearly visible in the photo, each with a confidence from 0 to 1
+- severity: low, medium, high or urgent, based on risk to public health and safety
+- description_en: one or two sentences describing the problem, in English
+- description_hi: the same description in Hindi (Devanagari script)
+- is_relevant: false if the photo shows no civic problem (selfies, screenshots, unrelated objects)
+- is_unsafe: true if the photo contains nudity, graphic violence or other content unfit to show staff
+- flag_reason: a short reason when is_relevant is false or is_unsafe is true, otherwise null`;
+
+// Coerce a model response into the documented analysis shape, dropping anything
+// outside the canonical category list
+function normalizeImageAnalysis(raw) {
+  const confidences = new Map();
+  for (const entry of Array.isArray(raw?.categories) ? raw.categories : []) {
+    if (!AI_CATEGORIES[entry?.category]) {
+      continue;
+    }
+    const confidence = Math.min(Math.max(parseFloat(entry.confidence) || 0, 0), 1);
+    confidences.set(entry.category, Math.max(confidences.get(entry.category) || 0, confidence));
+  }
+
+  const isRelevant = raw?.is_relevant !== false;
+  const categoryDetails = isRelevant
+    ? [...confidences.entries()]
+      .map(([category, confidence]) => ({ category, confidence: Math.round(confidence * 100) / 100 }))
+      .sort((a, b) => b.confidence - a.confidence)
+    : [];
+
+  return {
+    categories: categoryDetails,
+    category_names: categoryDetails
+      .filter(entry => entry.confidence >= AI_CATEGORY_MIN_CONFIDENCE)
+      .map(entry => entry.category),
+    suggested_priority: AI_SEVERITIES.includes(raw?.severity) ? raw.severity : 'medium',
+    description: {
+      en: typeof raw?.description_en === 'string' ? raw.description_en.trim() : '',
+      hi: typeof raw?.description_hi === 'string' ? raw.description_hi.trim() : ''
+    },
+    is_relevant: isRelevant,
+    is_unsafe: raw?.is_unsafe === true,
+    flag_reason: raw?.flag_reason || null
+  };
+}
+
+// Analyze a photo, reusing a recent analysis of the same image by the same model. Every
+// analysis row belongs to the user who requested it (null for anonymous callers), since
+// POST /api/problems only attaches the caller's own analyses.
+async function analyzeImage(buffer, mimeType, requester) {
+  const imageHash = hashImage(buffer);
+
+  const cached = await client.query(`
+    SELECT * FROM image_analyses
+    WHERE image_hash = $1 AND model = $2 AND created_at > NOW() - make_interval(hours => $3::int)
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [imageHash, aiProvider ? aiProvider.model : null, AI_CACHE_TTL_HOURS]);
+  if (cached.rows.length > 0) {
+    const hit = cached.rows[0];
+    if (hit.user_id === requester.userId) {
+      return { analysis: hit, cached: true };
+    }
+
+    // Someone else's result is copied for this caller; the original time keeps the cache expiry
+    const copy = await client.query(`
+      INSERT INTO image_analyses (image_hash, user_id, model, result, created_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [hit.image_hash, requester.userId, hit.model, hit.result, hit.created_at]);
+    return { analysis: copy.rows[0], cached: true };
+  }
+
+  const raw = await runAiOperation('analyze-image', requester, provider => provider.analyzeImage(buffer, mimeType));
+  const stored = await client.query(`
+    INSERT INTO image_analyses (image_hash, user_id, model, result)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [imageHash, requester.userId, aiProvider.model, normalizeImageAnalysis(raw)]);
+
+  return { analysis: stored.rows[0], cached: false };
+}
+
+// Map categories (any alias, Hindi or English) to their canonical names
+async function canonicalizeCategories(categories) {
+  const result = await client.query(`
+    SELECT category, canonical_category FROM category_department_routes
+    WHERE category = ANY($1::text[]) AND canonical_category IS NOT NULL
+  `, [categories]);
+  const canonical = new Map(result.rows.map(row => [row.category, row.canonical_category]));
+  return [...new Set(categories.map(category => canonical.get(category) || category))];
+}
+
+// Attach a stored analysis to a newly submitted problem, recording how the AI's
+// categories compare with the citizen's choice
+async function buildProblemAiAnalysis(analysisRow, imageKey, citizenCategories) {
+  const analysis = analysisRow.result;
+  const citizen = await canonicalizeCategories(citizenCategories);
+  const ai = analysis.category_names;
+
+  return {
+    ...analysis,
+    analysis_id: analysisRow.id,
+    model: analysisRow.model,
+    analyzed_at: analysisRow.created_at,
+    same_image: analysisRow.image_hash === imageKey,
+    comparison: {
+      agreed: citizen.filter(category => ai.includes(category)),
+      citizen_only: citizen.filter(category => !ai.includes(category)),
+      ai_only: ai.filter(category => !citizen.includes(category))
+    }
+  };
+}
+
+// ==================== PROBLEM LIST QUERIES ====================
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const PRIORITY_RANK_SQL = `CASE p.priority WHEN 'urgent' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END`;
+
+// Sort keys accepted by ?sort=. 'age' orders by created_at in the opposite
+// direction, so sort=age&order=desc lists the oldest complaints first.
+const PROBLEM_SORTS = {
+  created_at: { expr: 'p.created_at', type: 'timestamp' },
+  updated_at: { expr: 'p.updated_at', type: 'timestamp' },
+  priority: { expr: PRIORITY_RANK_SQL, type: 'integer' },
+  age: { expr: 'p.created_at', type: 'timestamp', invert: true }
+};
+
+// Accept both ?status=a,b and ?status=a&status=b
+function parseListParam(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => v.toString().split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value.toString(), 'base64url').toString('utf8'));
+    if (!cursor || typeof cursor.s !== 'string' || typeof cursor.v !== 'string' || !Number.isInteger(cursor.id)) {
+      return null;
+    }
+    return cursor;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Translate query-string filters into SQL conditions. Returns an error message for invalid input.
+function applyProblemFilters(query, conditions, params) {
+  const listFilters = {
+    status: 'p.status',
+    priority: 'p.priority',
+    assigned_department: 'p.assigned_department'
+  };
+
+  for (const [name, column] of Object.entries(listFilters)) {
+    const values = parseListParam(query[name]);
+    if (values.length > 0) {
+      params.push(values);
+      conditions.push(`${column} = ANY($${params.length})`);
+    }
+  }
+
+  if (query.needs_triage !== undefined) {
+    params.push(query.needs_triage === 'true');
+    conditions.push(`p.needs_triage = $${params.length}`);
+  }
+
+  if (query.ai_flagged !== undefined) {
+    params.push(query.ai_flagged === 'true');
+    conditions.push(`COALESCE(p.ai_flagged, false) = $${params.length}`);
+  }
+
+  if (query.sla_breached !== undefined) {
+    conditions.push(query.sla_breached === 'true' ? 'p.sla_breached_at IS NOT NULL' : 'p.sla_breached_at IS NULL');
+  }
+
+  const wardIds = parseListParam(query.ward_id);
+  if (wardIds.length > 0) {
+    if (wardIds.some(id => !/^\d+$/.test(id))) {
+      return 'ward_id must be a list of numeric ids';
+    }
+    params.push(wardIds.map(id => parseInt(id)));
+    conditions.push(`p.ward_id = ANY($${params.length})`);
+  }
+
+  const categories = parseListParam(query.category);
+  if (categories.length > 0) {
+    params.push(categories);
+    conditions.push(`p.problem_categories && $${params.length}::text[]`);
+  }
+
+  const workerIds = parseListParam(query.assigned_worker_id);
+  if (workerIds.length > 0) {
+    if (workerIds.some(id => !/^\d+$/.test(id))) {
+      return 'assigned_worker_id must be a list of numeric ids';
+    }
+    params.push(workerIds.map(id => parseInt(id)));
+    conditions.push(`p.assigned_worker_id = ANY($${params.length})`);
+  }
+
+  for (const [name, operator] of [['from', '>='], ['to', '<=']]) {
+    if (query[name]) {
+      if (isNaN(Date.parse(query[name]))) {
+        return `${name} must be a valid date`;
+      }
+      params.push(query[name]);
+      conditions.push(`p.created_at ${operator} $${params.length}::timestamp`);
+    }
+  }
+
+  // Bounding box in GeoJSON order: minLng,minLat,maxLng,maxLat
+  if (query.bbox) {
+    const bbox = query.bbox.toString().split(',').map(parseFloat);
+    if (bbox.length !== 4 || bbox.some(isNaN)) {
+      return 'bbox must be minLng,minLat,maxLng,maxLat';
+    }
+    const [minLng, minLat, maxLng, maxLat] = bbox;
+    params.push(minLat, maxLat);
+    conditions.push(`p.latitude BETWEEN $${params.length - 1} AND $${params.length}`);
+    params.push(minLng, maxLng);
+    conditions.push(`p.longitude BETWEEN $${params.length - 1} AND $${params.length}`);
+  }
+
+  return null;
+}
+
+// Shared implementation of the filtered, sorted, cursor-paginated problem lists.
+// `scope` holds the role-based conditions the caller has already decided on.
+async function listProblems(query, scope = { conditions: [], params: [] }) {
+  const conditions = [...scope.conditions];
+  const params = [...scope.params];
+
+  const filterError = applyProblemFilters(query, conditions, params);
+  if (filterError) {
+    return { error: filterError };
+  }
+
+  const sortKey = query.sort || 'created_at';
+  const sort = PROBLEM_SORTS[sortKey];
+  if (!sort) {
+    return { error: `sort must be one of: ${Object.keys(PROBLEM_SORTS).join(', ')}` };
+  }
+
+  const order = (query.order || 'desc').toString().toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+  const direction = (order === 'desc') !== Boolean(sort.invert) ? 'DESC' : 'ASC';
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit.toString());
+  if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countResult = await client.query(`SELECT COUNT(*) AS total FROM problems p ${whereClause}`, params);
+
+  // Keyset pagination: continue after the (sort value, id) pair of the previous page
+  const sortSignature = `${sortKey}:${order}`;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.s !== sortSignature) {
+      return { error: 'Invalid cursor for this sort order' };
+    }
+    params.push(cursor.v, cursor.id);
+    conditions.push(`(${sort.expr}, p.id) ${direction === 'DESC' ? '<' : '>'} ($${params.length - 1}::${sort.type}, $${params.length})`);
+  }
+
+  params.push(limit + 1);
+  const pageWhereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const result = await client.query(`
+    SELECT p.*, u.name as user_name, u.email as user_email,
+           w.name as assigned_worker_name, d.name as department_name,
+           (${sort.expr})::text AS sort_value
+    FROM problems p
+    JOIN users u ON p.user_id = u.id
+    LEFT JOIN users w ON p.assigned_worker_id = w.id
+    LEFT JOIN departments d ON p.assigned_department = d.name
+    ${pageWhereClause}
+    ORDER BY ${sort.expr} ${direction}, p.id ${direction}
+    LIMIT $${params.length}
+  `, params);
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const lastRow = rows[rows.length - 1];
+
+  return {
+    problems: rows.map(({ sort_value, ...problem }) => formatProblem(problem)),
+    pagination: {
+      total: parseInt(countResult.rows[0].total) || 0,
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor({ s: sortSignature, v: lastRow.sort_value, id: lastRow.id }) : null
+    }
+  };
+}
+
+// ==================== PROBLEM/COMPLAINT ROUTES ====================
+
+// Image Analysis using AI
+app.post('/api/analyze-image', optionalAuth, upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+
+    // Signed-in callers use their own quota, anonymous ones share one per IP address
+    const requester = req.user
+      ? { userId: req.user.id, clientKey: `user:${req.user.id}` }
+      : { userId: null, clientKey: `ip:${req.ip}` };
+
+    const { analysis, cached } = await analyzeImage(req.file.buffer, req.file.mimetype, requester);
+
+    res.json({
+      analysis_id: analysis.id,
+      cached,
+      categories: analysis.result.category_names,
+      analysis: analysis.result
+    });
+  } catch (error) {
+    if (sendAiError(res, error)) {
+      return;
+    }
+    console.error('Image analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze image', details: error.message });
+  }
+});
+
+// AI Provider Status
+app.get('/api/admin/ai/status', authenticateToken, authorize('ai:status'), async (req, res) => {
+  try {
+    const usage = await client.query(`
+      SELECT operation, provider,
+        COUNT(*)::int AS calls,
+        COUNT(*) FILTER (WHERE NOT succeeded)::int AS failures,
+        ROUND(AVG(duration_ms))::int AS avg_duration_ms
+      FROM ai_usage
+      WHERE created_at > NOW() - INTERVAL '1 day'
+      GROUP BY operation, provider
+      ORDER BY operation, provider
+    `);
+
+    res.json({
+      provider: aiProvider ? aiProvider.name : 'none',
+      model: aiProvider ? aiProvider.model : null,
+      circuit: {
+        state: aiCircuitState(),
+        consecutive_failures: aiCircuit.failures,
+        open_until: aiCircuitState() === 'open' ? new Date(aiCircuit.openUntil) : null
       },
-      token
+      quotas: {
+        user_daily: AI_USER_DAILY_QUOTA,
+        global_daily: AI_GLOBAL_DAILY_QUOTA,
+        global_used: usage.rows.reduce((sum, row) => sum + row.calls, 0)
+      },
+      cache_ttl_hours: AI_CACHE_TTL_HOURS,
+      usage_last_day: usage.rows
+    });
+  } catch (error) {
+    console.error('AI status error:', error);
+    res.status(500).json({ error: 'Failed to fetch AI status', details: error.message });
+  }
+});
+
+// Submit Problem
+app.post('/api/problems', authenticateToken, authorize('problems:create'), requireVerifiedContact, upload.single('image'), async (req, res) => {
+  try {
+    const { problem_categories, ai_categories, analysis_id, others_text, latitude, longitude, priority = 'medium' } = req.body;
+    
+    if (!req.file) {
+      return res.status(400).json({ error: 'Image file is required' });
+    }
+
+    if (!problem_categories || !latitude || !longitude) {
+      return res.status(400).json({ error: 'problem_categories, latitude, and longitude are required' });
+    }
+
+    // Validate location data
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    
+    if (isNaN(lat) || isNaN(lng)) {
+      return res.status(400).json({ error: 'Invalid latitude or longitude format' });
+    }
+    
+    if (lat < -90 || lat > 90) {
+      return res.status(400).json({ error: 'Latitude must be between -90 and 90' });
+    }
+    
+    if (lng < -180 || lng > 180) {
+      return res.status(400).json({ error: 'Longitude must be between -180 and 180' });
+    }
+
+    // Parse problem_categories if it's a string
+    let categoriesArray;
+    try {
+      categoriesArray = typeof problem_categories === 'string' 
+        ? JSON.parse(problem_categories) 
+        : problem_categories;
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid problem_categories format' });
+    }
+    if (!Array.isArray(categoriesArray) || categoriesArray.length === 0 ||
+      !categoriesArray.every(category => typeof category === 'string' && category.trim())) {
+      return res.status(400).json({ error: 'problem_categories must be a non-empty array of category names' });
+    }
+
+    // Categories returned by /api/analyze-image, used when the citizen's choice has no route
+    let aiCategoriesArray = [];
+    if (ai_categories) {
+      try {
+        aiCategoriesArray = typeof ai_categories === 'string' ? JSON.parse(ai_categories) : ai_categories;
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid ai_categories format' });
+      }
+      if (!Array.isArray(aiCategoriesArray)) {
+        return res.status(400).json({ error: 'Invalid ai_categories format' });
+      }
+    }
+
+    // An analysis sent by id must be one the citizen requested while signed in
+    let requestedAnalysis = null;
+    if (analysis_id) {
+      const result = await client.query('SELECT * FROM image_analyses WHERE id = $1', [parseInt(analysis_id) || 0]);
+      requestedAnalysis = result.rows[0];
+      if (!requestedAnalysis) {
+        return res.status(400).json({ error: 'Unknown analysis_id' });
+      }
+      if (requestedAnalysis.user_id !== req.user.id) {
+        return res.status(403).json({ error: 'analysis_id belongs to another user; analyze the photo while signed in' });
+      }
+    }
+
+    // Store image in the blob store
+    const imageData = await storeImage(req.file.buffer, req.file.mimetype);
+    const phash = await computePerceptualHash(req.file.buffer);
+
+    const wardId = await findWardIdForPoint(lat, lng);
+
+    // The analysis from /api/analyze-image: by id when the client sends it, otherwise the
+    // latest analysis of the same photo
+    const analysisRow = requestedAnalysis || (await client.query(`
+      SELECT * FROM image_analyses WHERE image_hash = $1 ORDER BY created_at DESC LIMIT 1
+    `, [imageData.key])).rows[0];
+
+    let aiAnalysis = null;
+    if (analysisRow) {
+      aiAnalysis = await buildProblemAiAnalysis(analysisRow, imageData.key, categoriesArray);
+      if (aiCategoriesArray.length === 0) {
+        aiCategoriesArray = aiAnalysis.category_names;
+      }
+    }
+
+    // Insert into database
+    const result = await client.query(`
+      INSERT INTO problems (user_id, problem_categories, others_text, user_image_key, user_image_mimetype, user_image_phash, latitude, longitude, priority, status, ward_id, ai_analysis, ai_severity, ai_flagged)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *
+    `, [
+      req.user.id, categoriesArray, others_text || null, imageData.key, imageData.mimeType, phash, lat, lng, priority, 'submitted', wardId,
+      aiAnalysis,
+      aiAnalysis ? aiAnalysis.suggested_priority : null,
+      aiAnalysis ? aiAnalysis.is_unsafe || !aiAnalysis.is_relevant : false
+    ]);
+
+    let problem = result.rows[0];
+
+    // Add initial status history
+    await client.query(`
+      INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes)
+      VALUES ($1, $2, $3, $4)
+    `, [problem.id, 'submitted', req.user.id, 'Problem submitted']);
+
+    await publishEvent('problem.created', {
+      problem_id: problem.id,
+      problem_categories: problem.problem_categories,
+      status: problem.status,
+      priority: problem.priority,
+      latitude: problem.latitude,
+      longitude: problem.longitude,
+      ward_id: problem.ward_id,
+      ai_flagged: problem.ai_flagged
+    }, await problemEventAudience(problem));
+
+    problem = await autoRouteProblem(problem, aiCategoriesArray);
+    problem = await autoAssignProblem(problem);
+
+    [problem] = await applySlaPolicies('target.id = $1', [problem.id]);
+
+    // Let the citizen +1 an existing complaint instead, or an admin merge them later
+    const duplicateCandidates = await findDuplicateCandidates({
+      latitude: lat,
+      longitude: lng,
+      categories: categoriesArray,
+      phash,
+      excludeId: problem.id
+    });
+
+    auditChange(req, 'problem', problem.id, null, problemAuditSnapshot(problem));
+    res.json({ 
+      message: 'Problem created successfully', 
+      problem: formatProblem(problem),
+      duplicate_candidates: duplicateCandidates
+    });
+  } catch (error) {
+    console.error('Create problem error:', error);
+    res.status(500).json({ error: 'Failed to create problem entry', details: error.message });
+  }
+});
+
+// Check for Duplicate Problems before submitting
+app.post('/api/problems/duplicates', authenticateToken, authorize('problems:create'), upload.single('image'), async (req, res) => {
+  try {
+    const { problem_categories, latitude, longitude } = req.body;
+
+    if (!problem_categories || !latitude || !longitude) {
+      return res.status(400).json({ error: 'problem_categories, latitude, and longitude are required' });
+    }
+
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+
+    if (isNaN(lat) || isNaN(lng)) {
+      return res.status(400).json({ error: 'Invalid latitude or longitude format' });
+    }
+
+    let categoriesArray;
+    try {
+      categoriesArray = typeof problem_categories === 'string' 
+        ? JSON.parse(problem_categories) 
+        : problem_categories;
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid problem_categories format' });
+    }
+    if (!Array.isArray(categoriesArray) || categoriesArray.length === 0 ||
+      !categoriesArray.every(category => typeof category === 'string' && category.trim())) {
+      return res.status(400).json({ error: 'problem_categories must be a non-empty array of category names' });
+    }
+
+    // The photo is optional here; with it, visually similar complaints rank first
+    const phash = req.file ? await computePerceptualHash(req.file.buffer) : null;
+
+    const candidates = await findDuplicateCandidates({
+      latitude: lat,
+      longitude: lng,
+      categories: categoriesArray,
+      phash
+    });
+
+    res.json({ 
+      radius_m: DUPLICATE_RADIUS_METERS,
+      candidates 
+    });
+  } catch (error) {
+    console.error('Check duplicates error:', error);
+    res.status(500).json({ error: 'Failed to check for duplicates', details: error.message });
+  }
+});
+
+// Support (+1) an Existing Problem
+app.post('/api/problems/:problem_id/support', authenticateToken, authorize('problems:create'), requireVerifiedContact, async (req, res) => {
+  try {
+    const problemId = parseInt(req.params.problem_id);
+    if (isNaN(problemId)) {
+      return res.status(400).json({ error: 'Invalid problem id' });
+    }
+
+    // Support for a merged duplicate counts towards its parent
+    const problemResult = await client.query(`
+      SELECT COALESCE(parent.id, p.id) AS target_id, COALESCE(parent.status, p.status) AS status,
+             ARRAY_REMOVE(ARRAY[p.user_id, parent.user_id], NULL) AS reporter_ids
+      FROM problems p
+      LEFT JOIN problems parent ON parent.id = p.parent_problem_id
+      WHERE p.id = $1
+    `, [problemId]);
+
+    if (problemResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Problem not found' });
+    }
+
+    const { target_id: targetId, status, reporter_ids: reporterIds } = problemResult.rows[0];
+
+    if (reporterIds.includes(req.user.id)) {
+      return res.status(409).json({ error: 'You reported this problem yourself' });
+    }
+
+    if (CLOSED_STATUSES.includes(status)) {
+      return res.status(409).json({ error: `Cannot support a problem that is ${status}`, current_status: status });
+    }
+
+    const inserted = await client.query(`
+      INSERT INTO problem_supporters (problem_id, user_id)
+      VALUES ($1, $2)
+      ON CONFLICT (problem_id, user_id) DO NOTHING
+      RETURNING id
+    `, [targetId, req.user.id]);
+
+    const result = await client.query(`
+      UPDATE problems
+      SET support_count = (SELECT COUNT(*) FROM problem_supporters WHERE problem_id = $1)
+      WHERE id = $1
+      RETURNING id, status, support_count
+    `, [targetId]);
+
+    if (inserted.rows.length > 0) {
+      await client.query(`
+        INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes)
+        VALUES ($1, $2, $3, $4)
+      `, [targetId, result.rows[0].status, req.user.id, 'Citizen confirmed this problem (+1)']);
+    }
+
+    const supportCount = parseInt(result.rows[0].support_count);
+    auditChange(req, 'problem', targetId,
+      { support_count: supportCount - inserted.rows.length },
+      { support_count: supportCount });
+
+    // Supporters may not be able to read the problem itself, so only the count is returned
+    res.json({ 
+      message: inserted.rows.length > 0 ? 'Support added successfully' : 'You already support this problem',
+      problem: { id: targetId, support_count: supportCount }
+    });
+  } catch (error) {
+    console.error('Support problem error:', error);
+    res.status(500).json({ error: 'Failed to support problem', details: error.message });
+  }
+});
+
+// Submit Citizen Feedback
+app.post('/api/problems/:problem_id/feedback', authenticateToken, authorize('problems:feedback', { problem: 'problem_id' }), async (req, res) => {
+  try {
+    const { problem_id } = req.params;
+    const { rating, comment } = req.body;
+
+    const parsedRating = Number(rating);
+    if (!Number.isInteger(parsedRating) || parsedRating < 1 || parsedRating > 5) {
+      return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+    }
+
+    const existing = await client.query('SELECT * FROM problems WHERE id = $1', [problem_id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Problem not found' });
+    }
+
+    let problem = existing.rows[0];
+
+    if (problem.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the citizen who reported this problem can give feedback' });
+    }
+
+    if (!RESOLVED_STATUSES.includes(problem.status)) {
+      return res.status(409).json({ error: 'Feedback can only be given once the problem is resolved', current_status: problem.status });
+    }
+
+    if (problem.citizen_rating) {
+      return res.status(409).json({ error: 'Feedback has already been submitted for this problem' });
+    }
+
+    const result = await client.query(`
+      UPDATE problems
+      SET citizen_rating = $1, citizen_feedback = $2, feedback_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `, [parsedRating, comment || null, problem_id]);
+    problem = result.rows[0];
+
+    // Rating a freshly resolved problem is the citizen's confirmation that it was fixed
+    if (problem.status === 'resolved') {
+      problem = await changeProblemStatus(problem.id, 'verified', req.user.id, `Verified by citizen with rating ${parsedRating}/5`);
+    }
+
+    // Verifying queued a statistics refresh already; a rating on a verified or closed problem has not
+    if (existing.rows[0].status !== 'resolved') {
+      queueStatisticsRefresh({ workerIds: [problem.assigned_worker_id], departments: [problem.assigned_department] });
+    }
+
+    auditChange(req, 'problem', problem.id, problemAuditSnapshot(existing.rows[0]), problemAuditSnapshot(problem));
+    res.json({ 
+      message: 'Feedback submitted successfully', 
+      problem: formatProblem(problem)
+    });
+  } catch (error) {
+    console.error('Submit feedback error:', error);
+    res.status(500).json({ error: 'Failed to submit feedback', details: error.message });
+  }
+});
+
+// Reopen a Resolved Problem
+app.post('/api/problems/:problem_id/reopen', authenticateToken, authorize('problems:feedback', { problem: 'problem_id' }), upload.single('image'), async (req, res) => {
+  try {
+    const { problem_id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason for reopening is required' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'A photo showing the problem is not fixed is required' });
+    }
+
+    const existing = await client.query('SELECT * FROM problems WHERE id = $1', [problem_id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Problem not found' });
+    }
+
+    const transitionError = validateStatusTransition(existing.rows[0], 'reopened', req.user, { notes: reason });
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(transitionError.body);
+    }
+
+    // Reopening a merged duplicate reopens the parent, which carries the work
+    let target = existing.rows[0];
+    if (target.parent_problem_id) {
+      const parent = await client.query('SELECT * FROM problems WHERE id = $1', [target.parent_problem_id]);
+      target = parent.rows[0];
+    }
+
+    const imageData = await storeImage(req.file.buffer, req.file.mimetype);
+
+    // The problem goes back to the worker who resolved it, and counts against their statistics
+    const problem = await changeProblemStatus(target.id, 'reopened', req.user.id, `Reopened: ${reason}`, {
+      reopen_image_key: imageData.key,
+      reopen_image_mimetype: imageData.mimeType,
+      reopen_count: (target.reopen_count || 0) + 1
+    });
+
+    // Without a worker or department nobody else would hear of it
+    let recipientIds = problem.assigned_worker_id
+      ? [problem.assigned_worker_id]
+      : await departmentHeadIds(problem.assigned_department);
+    if (recipientIds.length === 0) {
+      recipientIds = await districtMagistrateIds();
+    }
+
+    await createNotification({
+      title: `Complaint #${problem.id} reopened`,
+      message: `The citizen reports the problem is not fixed: ${reason}`,
+      type: 'warning',
+      priority: 'high',
+      senderId: req.user.id,
+      recipientIds,
+      department: problem.assigned_department,
+      relatedProblemId: problem.id,
+      actionRequired: true
+    });
+
+    auditChange(req, 'problem', problem.id, problemAuditSnapshot(target), problemAuditSnapshot(problem));
+    res.json({ 
+      message: 'Problem reopened successfully', 
+      problem: formatProblem(problem)
+    });
+  } catch (error) {
+    console.error('Reopen problem error:', error);
+    res.status(500).json({ error: 'Failed to reopen problem', details: error.message });
+  }
+});
+
+// Get User's Problems
+app.get('/api/problems/user/:user_id', authenticateToken, authorize('problems:read'), async (req, res) => {
+  try {
+    const { user_id } = req.params;
+
+    // Other users' problems need list access, and only show what that access reaches
+    const scope = { conditions: ['p.user_id = $1'], params: [user_id] };
+    if (req.user.id !== parseInt(user_id)) {
+      if (!hasPermission(req.user, 'problems:list')) {
+        return res.status(403).json({
+          error: `Your role cannot ${PERMISSIONS['problems:list']}`,
+          required_permission: 'problems:list'
+        });
+      }
+      scope.conditions.push(...resolveProblemScope(req.user, scope.params));
+    }
+
+    const result = await listProblems(req.query, scope);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Fetch user problems error:', error);
+    res.status(500).json({ error: 'Failed to fetch user problems', details: error.message });
+  }
+});
+
+// Get All Problems (Admin)
+app.get('/api/admin/problems', authenticateToken, authorize('problems:list'), async (req, res) => {
+  try {
+    const scope = { conditions: [], params: [] };
+    scope.conditions = resolveProblemScope(req.user, scope.params);
+
+    const result = await listProblems(req.query, scope);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Admin fetch problems error:', error);
+    res.status(500).json({ error: 'Failed to fetch all problems', details: error.message });
+  }
+});
+
+// Get Triage Queue (problems no department route matched)
+app.get('/api/admin/triage', authenticateToken, authorize('problems:triage'), async (req, res) => {
+  try {
+    const result = await listProblems(req.query, {
+      conditions: ['p.needs_triage = true'],
+      params: []
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get triage queue error:', error);
+    res.status(500).json({ error: 'Failed to get triage queue', details: error.message });
+  }
+});
+
+// Route Problem to a Department (manual triage)
+app.post('/api/admin/problems/:problem_id/route', authenticateToken, authorize('problems:triage', { problem: 'problem_id' }), async (req, res) => {
+  try {
+    const { problem_id } = req.params;
+    const { department, notes } = req.body;
+
+    if (!department) {
+      return res.status(400).json({ error: 'department is required' });
+    }
+
+    const departmentResult = await client.query('SELECT 1 FROM departments WHERE name = $1', [department]);
+    if (departmentResult.rows.length === 0) {
+      return res.status(400).json({ error: `Unknown department: ${department}` });
+    }
+
+    const existing = await client.query('SELECT * FROM problems WHERE id = $1', [problem_id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Problem not found' });
+    }
+
+    let problem = existing.rows[0];
+
+    // Routing an untriaged problem triages it; later statuses are kept as they are
+    if (problem.status === 'submitted') {
+      problem = await changeProblemStatus(problem.id, 'triaged', req.user.id, notes || `Routed to ${department}`, {
+        assigned_department: department,
+        needs_triage: false
+      });
+      problem = await autoAssignProblem(problem);
+    } else {
+      const result = await client.query(`
+        UPDATE problems
+        SET assigned_department = $1, needs_triage = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `, [department, problem_id]);
+      problem = result.rows[0];
+
+      await client.query(`
+        INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes)
+        VALUES ($1, $2, $3, $4)
+      `, [problem_id, problem.status, req.user.id, notes || `Routed to ${department}`]);
+    }
+
+    auditChange(req, 'problem', problem.id, problemAuditSnapshot(existing.rows[0]), problemAuditSnapshot(problem));
+    res.json({
+      message: 'Problem routed successfully',
+      problem: formatProblem(problem)
+    });
+  } catch (error) {
+    console.error('Route problem error:', error);
+    res.status(500).json({ error: 'Failed to route problem', details: error.message });
+  }
+});
+
+// Merge Duplicate Problems into a Parent
+app.post('/api/admin/problems/:problem_id/merge', authenticateToken, authorize('problems:merge', { problem: 'problem_id' }), async (req, res) => {
+  try {
+    const { problem_id } = req.params;
+    const { duplicate_ids } = req.body;
+
+    if (!Array.isArray(duplicate_ids) || duplicate_ids.length === 0) {
+      return res.status(400).json({ error: 'duplicate_ids must be a non-empty array' });
+    }
+
+    const parentId = parseInt(problem_id);
+    const duplicateIds = [...new Set(duplicate_ids.map(id => parseInt(id)))];
+
+    if (duplicateIds.some(isNaN) || duplicateIds.includes(parentId)) {
+      return res.status(400).json({ error: 'duplicate_ids must be problem ids other than the parent' });
+    }
+
+    const parentResult = await client.query('SELECT * FROM problems WHERE id = $1', [parentId]);
+
+    if (parentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Problem not found' });
+    }
+
+    const parent = parentResult.rows[0];
+    if (parent.parent_problem_id) {
+      return res.status(400).json({ error: `Problem #${parentId} is itself merged into #${parent.parent_problem_id}` });
+    }
+
+    const duplicatesResult = await client.query('SELECT id, parent_problem_id FROM problems WHERE id = ANY($1)', [duplicateIds]);
+    if (duplicatesResult.rows.length !== duplicateIds.length) {
+      const found = duplicatesResult.rows.map(row => row.id);
+      return res.status(404).json({ error: `Problems not found: ${duplicateIds.filter(id => !found.includes(id)).join(', ')}` });
+    }
+
+    const outsideScope = await findProblemsOutsideScope(req.user, 'problems:merge', duplicateIds);
+    if (outsideScope.length > 0) {
+      return res.status(403).json({ error: `Problems outside your access scope: ${outsideScope.join(', ')}` });
+    }
+
+    // Children of a merged duplicate move up to the new parent so the tree stays one level deep.
+    // The parent carries the work, so children give up their workers and leave the task queues.
+    const released = await client.query(`
+      WITH merged AS (
+        SELECT id, assigned_worker_id FROM problems
+        WHERE id = ANY($3) OR parent_problem_id = ANY($3)
+        FOR UPDATE
+      )
+      UPDATE problems p
+      SET parent_problem_id = $1, status = $2, assigned_worker_id = NULL, accepted_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      FROM merged
+      WHERE p.id = merged.id
+      RETURNING merged.assigned_worker_id
+    `, [parentId, parent.status, duplicateIds]);
+    queueStatisticsRefresh({ workerIds: released.rows.map(row => row.assigned_worker_id) });
+
+    // Supporters of the duplicates now support the parent
+    await client.query(`
+      INSERT INTO problem_supporters (problem_id, user_id)
+      SELECT $1, user_id FROM problem_supporters WHERE problem_id = ANY($2)
+      ON CONFLICT (problem_id, user_id) DO NOTHING
+    `, [parentId, duplicateIds]);
+    await client.query('DELETE FROM problem_supporters WHERE problem_id = ANY($1)', [duplicateIds]);
+
+    for (const duplicateId of duplicateIds) {
+      await client.query(`
+        INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes)
+        VALUES ($1, $2, $3, $4)
+      `, [duplicateId, parent.status, req.user.id, `Merged into problem #${parentId}`]);
+    }
+
+    await client.query(`
+      INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes)
+      VALUES ($1, $2, $3, $4)
+    `, [parentId, parent.status, req.user.id, `Merged duplicates: #${duplicateIds.join(', #')}`]);
+
+    const result = await client.query(`
+      UPDATE problems
+      SET support_count = (SELECT COUNT(*) FROM problem_supporters WHERE problem_id = $1),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [parentId]);
+
+    const children = await client.query(`
+      SELECT * FROM problems WHERE parent_problem_id = $1 ORDER BY id
+    `, [parentId]);
+
+    // The parent's entry records which problems were merged into it and where they were before
+    auditChange(req, 'problem', parentId,
+      { ...problemAuditSnapshot(parent), merged: duplicatesResult.rows.map(row => ({ id: row.id, parent_problem_id: row.parent_problem_id })) },
+      { ...problemAuditSnapshot(result.rows[0]), merged: duplicateIds.map(id => ({ id, parent_problem_id: parentId })) });
+    res.json({ 
+      message: 'Problems merged successfully',
+      problem: formatProblem(result.rows[0]),
+      children: children.rows.map(formatProblem)
+    });
+  } catch (error) {
+    console.error('Merge problems error:', error);
+    res.status(500).json({ error: 'Failed to merge problems', details: error.message });
+  }
+});
+
+// Mark Problem as Completed
+app.post('/api/admin/problems/:problem_id/complete', authenticateToken, authorize('problems:complete', { problem: 'problem_id' }), upload.single('completed_image'), async (req, res) => {
+  try {
+    const { problem_id } = req.params;
+    const { completion_notes } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Completed image file is required' });
+    }
+
+    const existing = await client.query('SELECT * FROM problems WHERE id = $1', [problem_id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Problem not found' });
+    }
+
+    // The photo satisfies the transition's requirement, so validate as if it were already stored
+    const transitionError = validateStatusTransition(existing.rows[0], 'resolved', req.user, { admin_image_key: 'pending-upload' });
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(transitionError.body);
+    }
+
+    // Store completed image in the blob store
+    const imageData = await storeImage(req.file.buffer, req.file.mimetype);
+
+    // Doubtful proof of work goes to a supervisor instead of resolving the problem
+    const verification = await verifyCompletionProof(existing.rows[0], {
+      buffer: req.file.buffer,
+      mimeType: req.file.mimetype
+    });
+    const status = verification.needs_review ? 'under-review' : 'resolved';
+    const notes = verification.needs_review
+      ? `Completion sent for review (verification score ${verification.score})`
+      : completion_notes || 'Problem marked as resolved';
+
+    const problem = await changeProblemStatus(problem_id, status, req.user.id, notes, {
+      admin_image_key: imageData.key,
+      admin_image_mimetype: imageData.mimeType,
+      completion_notes: completion_notes || null,
+      verification_score: verification.score,
+      verification_details: verification,
+      verification_checked_at: new Date()
+    });
+
+    if (verification.needs_review) {
+      const recipientIds = problem.assigned_department
+        ? await departmentHeadIds(problem.assigned_department)
+        : await districtMagistrateIds();
+
+      await createNotification({
+        title: `Completion of complaint #${problem.id} needs review`,
+        message: `The completion photo scored ${verification.score} (threshold ${verification.threshold}). Please review it.`,
+        type: 'warning',
+        senderId: req.user.id,
+        recipientIds,
+        department: problem.assigned_department,
+        relatedProblemId: problem.id,
+        actionRequired: true
+      });
+    }
+
+    auditChange(req, 'problem', problem.id, problemAuditSnapshot(existing.rows[0]), problemAuditSnapshot(problem));
+    res.json({ 
+      message: verification.needs_review
+        ? 'Completion submitted for supervisor review'
+        : 'Problem marked as resolved successfully', 
+      verification,
+      problem: formatProblem(problem)
+    });
+  } catch (error) {
+    console.error('Mark problem completed error:', error);
+    res.status(500).json({ error: 'Failed to mark problem as completed', details: error.message });
+  }
+});
+
+// Get Completion Review Queue
+app.get('/api/admin/review-queue', authenticateToken, authorize('problems:review'), async (req, res) => {
+  try {
+    const queryParams = [];
+    const scopeConditions = resolveProblemScope(req.user, queryParams);
+    const conditions = [`p.status = 'under-review'`, ...scopeConditions];
+
+    const result = await client.query(`
+      SELECT p.*, u.name as assigned_worker_name
+      FROM problems p
+      LEFT JOIN users u ON p.assigned_worker_id = u.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY p.verification_score ASC NULLS FIRST, p.updated_at ASC
+    `, queryParams);
+
+    res.json({ problems: result.rows.map(formatProblem) });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({ error: 'Failed to get review queue', details: error.message });
+  }
+});
+
+// Review a Completion (approve or send back)
+app.post('/api/admin/problems/:problem_id/review', authenticateToken, authorize('problems:review', { problem: 'problem_id' }), async (req, res) => {
+  try {
+    const { problem_id } = req.params;
+    const { decision, notes } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ error: 'decision must be approve or reject' });
+    }
+
+    const existing = await client.query('SELECT * FROM problems WHERE id = $1', [problem_id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Problem not found' });
+    }
+
+    // Approving resolves the problem; rejecting sends it back to the worker
+    const toStatus = decision === 'approve' ? 'resolved' : 'in-progress';
+    const transitionError = validateStatusTransition(existing.rows[0], toStatus, req.user, { notes });
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(transitionError.body);
+    }
+
+    const problem = await changeProblemStatus(
+      problem_id,
+      toStatus,
+      req.user.id,
+      decision === 'approve'
+        ? notes || 'Completion approved after review'
+        : `Completion rejected after review: ${notes}`
+    );
+
+    if (decision === 'reject' && problem.assigned_worker_id) {
+      await createNotification({
+        title: `Completion of complaint #${problem.id} rejected`,
+        message: `Your completion was not accepted: ${notes}`,
+        type: 'warning',
+        priority: 'high',
+        senderId: req.user.id,
+        recipientIds: [problem.assigned_worker_id],
+        department: problem.assigned_department,
+        relatedProblemId: problem.id,
+        actionRequired: true
+      });
+    }
+
+    auditChange(req, 'problem', problem.id, problemAuditSnapshot(existing.rows[0]), problemAuditSnapshot(problem));
+    res.json({
+      message: decision === 'approve' ? 'Completion approved' : 'Completion rejected and returned to the worker',
+      problem: formatProblem(problem)
+    });
+  } catch (error) {
+    console.error('Review completion error:', error);
+    res.status(500).json({ error: 'Failed to review completion', details: error.message });
+  }
+});
+
+// Get Recommended Workers for a Problem
+app.get('/api/admin/problems/:problem_id/recommended-workers', authenticateToken, authorize('problems:assign', { problem: 'problem_id' }), async (req, res) => {
+  try {
+    const { problem_id } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const result = await client.query('SELECT * FROM problems WHERE id = $1', [problem_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Problem not found' });
+    }
+
+    const problem = result.rows[0];
+
+    // Department heads only get their own workers, also for problems routed to them by
+    // category; the magistrate gets the problem's department, or everyone when it has none
+    const department = req.permissionScope === 'department' ? req.user.department : null;
+    const workers = await recommendWorkers(problem, { department, limit });
+
+    res.json({
+      problem_id: problem.id,
+      department: department || problem.assigned_department,
+      weights: RECOMMENDATION_WEIGHTS,
+      workers
+    });
+  } catch (error) {
+    console.error('Recommend workers error:', error);
+    res.status(500).json({ error: 'Failed to recommend workers', details: error.message });
+  }
+});
+
+// Assign Worker to Problem
+app.post('/api/admin/problems/:problem_id/assign', authenticateToken, authorize('problems:assign', { problem: 'problem_id' }), async (req, res) => {
+  try {
+    const { problem_id } = req.params;
+    const { worker_id, estimated_completion } = req.body;
+
+    const workerId = parseInt(worker_id);
+    if (isNaN(workerId)) {
+      return res.status(400).json({ error: 'worker_id is required and must be a user id' });
+    }
+
+    const existing = await client.query('SELECT * FROM problems WHERE id = $1', [problem_id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Problem not found' });
+    }
+
+    const workerResult = await client.query(`
+      SELECT id, department FROM users WHERE id = $1 AND role = 'field-worker' AND is_active = true
+    `, [workerId]);
+    if (workerResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Field worker not found' });
+    }
+
+    const transitionError = validateStatusTransition(existing.rows[0], 'assigned', req.user, { assigned_worker_id: workerId });
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(transitionError.body);
+    }
+
+    if (!await isUserInScope(req.user, 'problems:assign', workerId)) {
+      return res.status(403).json({ error: 'This worker is outside your access scope' });
+    }
+
+    // The problem goes to the worker's department, which the scope check above keeps within a
+    // department head's own
+    const assignedDepartment = workerResult.rows[0].department || existing.rows[0].assigned_department;
+    const problem = await changeProblemStatus(problem_id, 'assigned', req.user.id, `Worker assigned: ${workerId}`, {
+      assigned_worker_id: workerId,
+      assigned_department: assignedDepartment,
+      estimated_completion: estimated_completion || null,
+      needs_triage: !assignedDepartment,
+      accepted_at: null
+    });
+
+    auditChange(req, 'problem', problem.id, problemAuditSnapshot(existing.rows[0]), problemAuditSnapshot(problem));
+    res.json({ 
+      message: 'Worker assigned successfully', 
+      problem: formatProblem(problem)
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed', details: error.message });
+    console.error('Assign worker error:', error);
+    res.status(500).json({ error: 'Failed to assign worker', details: error.message });
   }
 });
 
-// User Login
-app.post('/api/users/login', async (req, res) => {
+// Update Problem Priority/Status
+app.patch('/api/admin/problems/:problem_id', authenticateToken, authorize('problems:update', { problem: 'problem_id' }), async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { problem_id } = req.params;
+    const { status, priority, notes } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+    if (priority && !hasPermission(req.user, 'problems:prioritize')) {
+      return res.status(403).json({
+        error: `Your role cannot ${PERMISSIONS['problems:prioritize']}`,
+        required_permission: 'problems:prioritize'
+      });
     }
 
-    const result = await client.query(`
-      SELECT id, name, email, phone_number, aadhar, password, role, department, avatar_url 
-      FROM users 
-      WHERE email = $1 AND is_active = true
-    `, [email]);
+    const existing = await client.query('SELECT * FROM problems WHERE id = $1', [problem_id]);
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Problem not found' });
     }
 
-    const user = result.rows[0];
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    let problem = existing.rows[0];
 
-    if (!isPasswordValid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // Resolving needs a fresh completion photo, which only the /complete route accepts
+    if (status) {
+      const transitionError = validateStatusTransition(problem, status, req.user, { notes, admin_image_key: null });
+      if (transitionError) {
+        return res.status(transitionError.statusCode).json(transitionError.body);
+      }
     }
 
-    // Update last login
-    await client.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+    if (priority) {
+      const result = await client.query(`
+        UPDATE problems 
+        SET priority = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `, [priority, problem_id]);
+      problem = result.rows[0];
+
+      // A new priority can mean a different SLA deadline, unless it has already been breached
+      if (!problem.sla_breached_at) {
+        [problem] = await applySlaPolicies('target.id = $1', [problem.id]);
+      }
+    }
+
+    if (status) {
+      // Sending a problem back to triage releases its worker
+      const releaseWorker = status === 'triaged' ? { assigned_worker_id: null } : {};
+      problem = await changeProblemStatus(problem.id, status, req.user.id, notes, releaseWorker);
+    }
 
-    const token = generateToken(user);
+    auditChange(req, 'problem', problem.id, problemAuditSnapshot(existing.rows[0]), problemAuditSnapshot(problem));
 
     res.json({ 
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        phone_number: user.phone_number,
-        aadhar: user.aadhar,
-        role: user.role,
-        department: user.department,
-        avatar_url: user.avatar_url
-      },
-      token
+      message: 'Problem updated successfully', 
+      problem: formatProblem(problem)
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed', details: error.message });
+    console.error('Update problem error:', error);
+    res.status(500).json({ error: 'Failed to update problem', details: error.message });
   }
 });
 
-// Get User Details
-app.get('/api/users/:user_id', authenticateToken, async (req, res) => {
+// Get Problem Status Lifecycle
+app.get('/api/problems/statuses', authenticateToken, authorize('problems:read'), async (req, res) => {
+  const transitions = Object.entries(STATUS_TRANSITIONS).map(([from, targets]) => ({
+    from,
+    to: Object.entries(targets).map(([to, rule]) => ({
+      status: to,
+      roles: rule.roles,
+      requires: rule.requires || []
+    }))
+  }));
+
+  res.json({
+    statuses: PROBLEM_STATUSES,
+    pending: PENDING_STATUSES,
+    active: ACTIVE_STATUSES,
+    resolved: RESOLVED_STATUSES,
+    closed: CLOSED_STATUSES,
+    transitions
+  });
+});
+
+// Get Problem Status History
+app.get('/api/problems/:problem_id/history', authenticateToken, authorize('problems:read', { problem: 'problem_id' }), async (req, res) => {
   try {
-    const { user_id } = req.params;
+    const { problem_id } = req.params;
 
     const result = await client.query(`
-      SELECT id, name, email, phone_number, aadhar, address, role, department, avatar_url, created_at, updated_at 
-      FROM users WHERE id = $1 AND is_active = true
-    `, [user_id]);
+      SELECT psh.*, COALESCE(u.name, 'System') as updated_by_name
+      FROM problem_status_history psh
+      LEFT JOIN users u ON psh.updated_by_id = u.id
+      WHERE psh.problem_id = $1
+      ORDER BY psh.created_at ASC
+    `, [problem_id]);
+
+    res.json({ history: result.rows });
+  } catch (error) {
+    console.error('Get problem history error:', error);
+    res.status(500).json({ error: 'Failed to get problem history', details: error.message });
+  }
+});
+
+// Signed links (from problem responses) grant access on their own; otherwise the caller
+// needs a token and read access to the problem
+const authorizeProblemImageRead = authorize('problems:read', { problem: 'problem_id' });
+
+function authenticateImageRequest(req, res, next) {
+  if (req.query.signature === undefined) {
+    return authenticateToken(req, res, () => authorizeProblemImageRead(req, res, next));
+  }
+  if (!isValidImageSignature(req.params, req.query)) {
+    return res.status(403).json({ error: 'Image link is invalid or has expired' });
+  }
+  next();
+}
+
+// Get Problem Image (user = citizen photo, admin = completion photo)
+app.get('/api/problems/:problem_id/images/:kind', authenticateImageRequest, async (req, res) => {
+  try {
+    const { problem_id, kind } = req.params;
+    const { size = 'full' } = req.query;
+
+    if (!['user', 'admin', 'reopen'].includes(kind)) {
+      return res.status(400).json({ error: 'Image kind must be user, admin or reopen' });
+    }
+
+    if (size !== 'full' && !IMAGE_VARIANTS[size]) {
+      return res.status(400).json({ error: `Image size must be one of: full, ${Object.keys(IMAGE_VARIANTS).join(', ')}` });
+    }
+
+    const result = await client.query(`
+      SELECT ${kind}_image_key AS image_key, ${kind}_image_mimetype AS image_mimetype
+      FROM problems WHERE id = $1
+    `, [problem_id]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+      return res.status(404).json({ error: 'Problem not found' });
+    }
+
+    const problem = result.rows[0];
+
+    if (!problem.image_key) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const etag = `"${problem.image_key}-${size}"`;
+    res.set({
+      ETag: etag,
+      'Cache-Control': 'private, max-age=86400'
+    });
+
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    let imageBuffer;
+    let mimeType = problem.image_mimetype;
+
+    if (size === 'full') {
+      imageBuffer = await blobStore.get(problem.image_key);
+    } else {
+      imageBuffer = await blobStore.get(variantKey(problem.image_key, size));
+
+      // Images uploaded before variants existed are resized on first request and cached
+      if (!imageBuffer) {
+        const original = await blobStore.get(problem.image_key);
+        if (original) {
+          await generateImageVariant(problem.image_key, original, size);
+          imageBuffer = await blobStore.get(variantKey(problem.image_key, size));
+        }
+      }
+      mimeType = VARIANT_MIMETYPE;
+    }
+
+    if (!imageBuffer) {
+      return res.status(404).json({ error: 'Image not found' });
     }
 
-    res.json({ user: result.rows[0] });
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Length': imageBuffer.length
+    });
+    res.end(imageBuffer);
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Failed to get user', details: error.message });
+    console.error('Get problem image error:', error);
+    res.status(500).json({ error: 'Failed to get problem image', details: error.message });
   }
 });
 
-// Update User Profile
-app.put('/api/users/:user_id', authenticateToken, async (req, res) => {
+// ==================== WORKER MANAGEMENT ROUTES ====================
+
+// Get All Workers
+app.get('/api/admin/workers', authenticateToken, authorize('workers:read'), async (req, res) => {
   try {
-    const { user_id } = req.params;
-    const { name, phone_number, address, avatar_url } = req.body;
+    let query = `
+      SELECT u.id, u.name, u.email, u.phone_number, u.aadhar_last4 AS aadhar, u.address, u.role, u.department,
+             u.avatar_url, u.is_active, u.last_login, u.created_at, u.updated_at,
+             w.specializations, w.efficiency_rating, w.total_assigned, 
+             w.total_completed, w.total_reopened, w.avg_completion_time, w.current_status, 
+             w.last_active, w.location_lat, w.location_lng
+      FROM users u
+      LEFT JOIN workers w ON u.id = w.user_id
+      WHERE u.role = 'field-worker' AND u.is_active = true
+    `;
+
+    let result;
+    if (req.permissionScope === 'department') {
+      query += ` AND u.department = $1`;
+      result = await client.query(query, [req.user.department]);
+    } else {
+      result = await client.query(query);
+    }
+    res.json({ workers: result.rows.map(worker => ({ ...worker, aadhar: maskAadhaar(worker.aadhar) })) });
+  } catch (error) {
+    console.error('Get workers error:', error);
+    res.status(500).json({ error: 'Failed to get workers', details: error.message });
+  }
+});
+
+// Upload Batched Location Points (field worker)
+app.post('/api/workers/me/locations', authenticateToken, authorize('workers:locations'), async (req, res) => {
+  try {
+    const { points } = req.body;
+
+    if (!Array.isArray(points) || points.length === 0) {
+      return res.status(400).json({ error: 'points must be a non-empty array' });
+    }
+
+    if (points.length > LOCATION_MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `At most ${LOCATION_MAX_BATCH_SIZE} points can be uploaded at once` });
+    }
+
+    const workerResult = await client.query('SELECT id FROM workers WHERE user_id = $1', [req.user.id]);
+    if (workerResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    // Bad points are reported back rather than failing the whole batch
+    const accepted = [];
+    const rejected = [];
+    points.forEach((raw, index) => {
+      const point = parseLocationPoint(raw);
+      if (point.error) {
+        rejected.push({ index, error: point.error });
+      } else {
+        accepted.push(point);
+      }
+    });
+
+    await recordWorkerLocations(req.user.id, accepted, 'batch');
+
+    res.json({
+      message: 'Locations recorded successfully',
+      accepted: accepted.length,
+      rejected
+    });
+  } catch (error) {
+    console.error('Upload locations error:', error);
+    res.status(500).json({ error: 'Failed to upload locations', details: error.message });
+  }
+});
+
+// Get Live Worker Positions and Trails
+app.get('/api/admin/workers/live', authenticateToken, authorize('workers:read'), async (req, res) => {
+  try {
+    const trailMinutes = Math.min(Math.max(parseInt(req.query.trail_minutes) || 60, 0), 24 * 60);
+    // Department heads only see their own department
+    const department = req.permissionScope === 'department' ? req.user.department : (req.query.department || null);
+
+    const workersResult = await client.query(`
+      SELECT u.id AS user_id, u.name, u.department, w.current_status,
+             w.location_lat, w.location_lng, w.location_updated_at, w.last_active,
+             (SELECT COUNT(*) FROM problems p
+               WHERE p.assigned_worker_id = u.id AND p.status = ANY($2)) AS open_tasks
+      FROM users u
+      JOIN workers w ON w.user_id = u.id
+      WHERE u.role = 'field-worker' AND u.is_active = true
+        AND ($1::text IS NULL OR u.department = $1)
+      ORDER BY u.name
+    `, [department, TASK_STATUSES]);
+
+    const trailsResult = await client.query(`
+      SELECT user_id, latitude, longitude, accuracy_m, recorded_at
+      FROM worker_locations
+      WHERE user_id = ANY($1) AND recorded_at >= CURRENT_TIMESTAMP - make_interval(mins => $2)
+      ORDER BY user_id, recorded_at
+    `, [workersResult.rows.map(worker => worker.user_id), trailMinutes]);
+
+    const trails = new Map();
+    for (const point of trailsResult.rows) {
+      if (!trails.has(point.user_id)) {
+        trails.set(point.user_id, []);
+      }
+      trails.get(point.user_id).push({
+        latitude: parseFloat(point.latitude),
+        longitude: parseFloat(point.longitude),
+        accuracy_m: point.accuracy_m === null ? null : parseFloat(point.accuracy_m),
+        recorded_at: point.recorded_at
+      });
+    }
+
+    const workers = workersResult.rows.map(worker => ({
+      user_id: worker.user_id,
+      name: worker.name,
+      department: worker.department,
+      current_status: worker.current_status,
+      open_tasks: parseInt(worker.open_tasks),
+      position: worker.location_lat === null ? null : {
+        latitude: parseFloat(worker.location_lat),
+        longitude: parseFloat(worker.location_lng),
+        recorded_at: worker.location_updated_at
+      },
+      last_active: worker.last_active,
+      trail: trails.get(worker.user_id) || []
+    }));
+
+    res.json({ department, trail_minutes: trailMinutes, workers });
+  } catch (error) {
+    console.error('Get live workers error:', error);
+    res.status(500).json({ error: 'Failed to get live worker positions', details: error.message });
+  }
+});
+
+// Get a Worker's Location Trail
+app.get('/api/admin/workers/:worker_id/trail', authenticateToken, authorize('workers:read', { user: 'worker_id' }), async (req, res) => {
+  try {
+    const { worker_id } = req.params;
+    const { from, to, problem_id } = req.query;
 
-    // Verify user can only update their own profile (unless admin)
-    if (req.user.id !== parseInt(user_id) && req.user.role !== 'district-magistrate') {
-      return res.status(403).json({ error: 'Unauthorized to update this profile' });
+    const toTime = to ? new Date(to) : new Date();
+    const fromTime = from ? new Date(from) : new Date(toTime.getTime() - 24 * 60 * 60 * 1000);
+    if (isNaN(fromTime.getTime()) || isNaN(toTime.getTime())) {
+      return res.status(400).json({ error: 'from and to must be valid timestamps' });
     }
 
     const result = await client.query(`
-      UPDATE users 
-      SET name = COALESCE($1, name), 
-          phone_number = COALESCE($2, phone_number),
-          address = COALESCE($3, address),
-          avatar_url = COALESCE($4, avatar_url),
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $5 AND is_active = true
-      RETURNING id, name, email, phone_number, aadhar, address, role, department, avatar_url
-    `, [name, phone_number, address, avatar_url, user_id]);
+      SELECT latitude, longitude, accuracy_m, source, recorded_at
+      FROM worker_locations
+      WHERE user_id = $1 AND recorded_at BETWEEN $2 AND $3
+      ORDER BY recorded_at
+    `, [worker_id, fromTime, toTime]);
+
+    // With a problem, also report how close the worker came to it in the window
+    let nearestApproach;
+    if (problem_id) {
+      const problemResult = await client.query('SELECT latitude, longitude FROM problems WHERE id = $1', [problem_id]);
+      if (problemResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Problem not found' });
+      }
+      const { latitude, longitude } = problemResult.rows[0];
+      nearestApproach = await closestApproach(worker_id, latitude, longitude, fromTime, toTime);
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    res.json({
+      worker_id: parseInt(worker_id),
+      from: fromTime,
+      to: toTime,
+      points: result.rows,
+      ...(problem_id ? { problem_id: parseInt(problem_id), nearest_approach: nearestApproach } : {})
+    });
+  } catch (error) {
+    console.error('Get worker trail error:', error);
+    res.status(500).json({ error: 'Failed to get worker trail', details: error.message });
+  }
+});
+
+// Create Worker Profile
+app.post('/api/admin/workers', authenticateToken, authorize('workers:manage'), async (req, res) => {
+  try {
+    const { user_id, specializations, current_status } = req.body;
+
+    // Check if user exists and is a field worker
+    const userResult = await client.query(`
+      SELECT id, department FROM users WHERE id = $1 AND role = 'field-worker' AND is_active = true
+    `, [user_id]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Field worker not found' });
     }
 
+    if (req.permissionScope === 'department' && userResult.rows[0].department !== req.user.department) {
+      return res.status(403).json({ error: 'This worker is outside your access scope' });
+    }
+
+    const existing = await client.query('SELECT * FROM workers WHERE user_id = $1', [user_id]);
+
+    const result = await client.query(`
+      INSERT INTO workers (user_id, specializations, current_status)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id) 
+      DO UPDATE SET 
+        specializations = $2, 
+        current_status = $3,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [user_id, specializations, current_status || 'available']);
+
+    auditChange(req, 'worker', user_id, existing.rows[0] || null, result.rows[0]);
+
     res.json({ 
-      message: 'Profile updated successfully',
-      user: result.rows[0] 
+      message: 'Worker profile created/updated successfully',
+      worker: result.rows[0]
     });
   } catch (error) {
-    console.error('Update user error:', error);
-    res.status(500).json({ error: 'Failed to update user', details: error.message });
+    console.error('Create worker error:', error);
+    res.status(500).json({ error: 'Failed to create worker profile', details: error.message });
   }
 });
 
-// Get All Users (Admin only)
-app.get('/api/users', authenticateToken, async (req, res) => {
+// Update Worker Status/Location
+app.patch('/api/workers/:worker_id/status', authenticateToken, authorize('workers:update-status', { user: 'worker_id' }), async (req, res) => {
   try {
-    // Only admin roles can access all users
-    if (!['district-magistrate', 'department-head'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
+    const { worker_id } = req.params;
+    const { current_status, location_lat, location_lng } = req.body;
+
+    let point = null;
+    if (location_lat !== undefined || location_lng !== undefined) {
+      point = parseLocationPoint({ latitude: location_lat, longitude: location_lng });
+      if (point.error) {
+        return res.status(400).json({ error: point.error });
+      }
     }
 
+    const existing = await client.query('SELECT current_status FROM workers WHERE user_id = $1', [worker_id]);
+
     const result = await client.query(`
-      SELECT id, name, email, phone_number, role, department, is_active, last_login, created_at
-      FROM users 
-      ORDER BY created_at DESC
-    `);
+      UPDATE workers 
+      SET current_status = COALESCE($1, current_status),
+          last_active = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $2
+      RETURNING *
+    `, [current_status, worker_id]);
 
-    res.json({ users: result.rows });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    if (point) {
+      await recordWorkerLocations(result.rows[0].user_id, [point]);
+      const updated = await client.query('SELECT * FROM workers WHERE user_id = $1', [worker_id]);
+      result.rows[0] = updated.rows[0];
+    }
+
+    // Location pings are kept in worker_locations; the audit entry records the status change
+    auditChange(req, 'worker', worker_id,
+      { current_status: existing.rows[0].current_status },
+      { current_status: result.rows[0].current_status });
+    res.json({ 
+      message: 'Worker status updated successfully',
+      worker: result.rows[0]
+    });
   } catch (error) {
-    console.error('Get all users error:', error);
-    res.status(500).json({ error: 'Failed to get users', details: error.message });
+    console.error('Update worker status error:', error);
+    res.status(500).json({ error: 'Failed to update worker status', details: error.message });
   }
 });
 
-// ==================== PROBLEM/COMPLAINT ROUTES ====================
-
-// Image Analysis using AI
-app.post('/api/analyze-image', upload.single('image'), async (req, res) => {
+// Get My Task Queue (field worker)
+app.get('/api/workers/me/tasks', authenticateToken, authorize('tasks:manage'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image file provided' });
-    }
-
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-    
-    const prompt = `Analyze this image for civic issues in Indian cities. 
-
-Look for these specific problems:
-1. Garbage & Waste - roadside dumps, overflowing bins, waste scattered around
-2. Traffic & Roads - potholes, broken roads, traffic congestion, illegal parking
-3. Pollution - dirty water bodies, smoke/emissions, burning waste
-4. Drainage & Sewage - open drains, waterlogging, blocked sewers
-5. Public Spaces - damaged public property, poor maintenance, encroachment
-6. Housing & Slums - poor living conditions, lack of basic amenities
-7. Infrastructure - broken streetlights, damaged signs, poor connectivity
-8. Other Issues - stray animals, safety hazards, environmental problems
-
-IMPORTANT: 
-- Only return categories that are clearly visible in the image
-- Be specific and accurate
-- If no civic issues are found, return empty array
-- Return ONLY a JSON array of category names
-
-Examples of correct responses:
-["Garbage & Waste", "Traffic & Roads"]
-["Pollution"]
-[]
-["Drainage & Sewage", "Public Spaces"]
-
-Return your response as a JSON array only.`;
-
-    const imagePart = {
-      inlineData: {
-        data: req.file.buffer.toString('base64'),
-        mimeType: req.file.mimetype
-      }
-    };
-
-    const result = await model.generateContent([prompt, imagePart]);
-    const response = await result.response;
-    const text = response.text();
-    
-    // Parse JSON response from Gemini
-    let categories;
-    try {
-      categories = JSON.parse(text.trim());
-    } catch (parseError) {
-      // Fallback: extract JSON array from response
-      const jsonMatch = text.match(/\[.*\]/);
-      if (jsonMatch) {
-        categories = JSON.parse(jsonMatch[0]);
-      } else {
-        categories = [];
-      }
-    }
+    const result = await client.query(`
+      SELECT p.*
+      FROM problems p
+      WHERE p.assigned_worker_id = $1 AND p.status = ANY($2)
+      ORDER BY ${PRIORITY_RANK_SQL} DESC, p.sla_due_at ASC NULLS LAST, p.created_at ASC
+    `, [req.user.id, TASK_STATUSES]);
+
+    const workerResult = await client.query(`
+      SELECT location_lat, location_lng, last_active FROM workers WHERE user_id = $1
+    `, [req.user.id]);
+    const worker = workerResult.rows[0];
+    const start = worker && worker.location_lat !== null && worker.location_lng !== null
+      ? { lat: parseFloat(worker.location_lat), lng: parseFloat(worker.location_lng), reported_at: worker.last_active }
+      : null;
+
+    const route = planTaskRoute(start, result.rows);
+    const routePositions = new Map(route.stops.map((stop, index) => [stop.problem_id, index + 1]));
+    const now = Date.now();
+
+    const tasks = result.rows.map(problem => ({
+      ...formatProblem(problem),
+      route_position: routePositions.get(problem.id),
+      sla_hours_remaining: problem.sla_due_at
+        ? Math.round((new Date(problem.sla_due_at).getTime() - now) / 36000) / 100
+        : null
+    }));
 
-    res.json({ categories });
+    res.json({ tasks, route });
   } catch (error) {
-    console.error('Image analysis error:', error);
-    res.status(500).json({ error: 'Failed to analyze image', details: error.message });
+    console.error('Get worker tasks error:', error);
+    res.status(500).json({ error: 'Failed to get tasks', details: error.message });
   }
 });
 
-// Submit Problem
-app.post('/api/problems', authenticateToken, upload.single('image'), async (req, res) => {
+// Accept an Assigned Task
+app.post('/api/workers/me/tasks/:problem_id/accept', authenticateToken, authorize('tasks:manage'), async (req, res) => {
   try {
-    const { problem_categories, others_text, latitude, longitude, priority = 'medium' } = req.body;
-    
-    if (!req.file) {
-      return res.status(400).json({ error: 'Image file is required' });
-    }
+    const { problem_id } = req.params;
 
-    if (!problem_categories || !latitude || !longitude) {
-      return res.status(400).json({ error: 'problem_categories, latitude, and longitude are required' });
-    }
+    const task = await findWorkerTask(req.user.id, problem_id);
 
-    // Validate location data
-    const lat = parseFloat(latitude);
-    const lng = parseFloat(longitude);
-    
-    if (isNaN(lat) || isNaN(lng)) {
-      return res.status(400).json({ error: 'Invalid latitude or longitude format' });
-    }
-    
-    if (lat < -90 || lat > 90) {
-      return res.status(400).json({ error: 'Latitude must be between -90 and 90' });
-    }
-    
-    if (lng < -180 || lng > 180) {
-      return res.status(400).json({ error: 'Longitude must be between -180 and 180' });
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found in your queue' });
     }
 
-    // Parse problem_categories if it's a string
-    let categoriesArray;
-    try {
-      categoriesArray = typeof problem_categories === 'string' 
-        ? JSON.parse(problem_categories) 
-        : problem_categories;
-    } catch (error) {
-      return res.status(400).json({ error: 'Invalid problem_categories format' });
+    if (!['assigned', 'reopened'].includes(task.status)) {
+      return res.status(409).json({ error: `Cannot accept a task that is ${task.status}`, current_status: task.status });
     }
 
-    // Convert image to base64
-    const imageData = convertImageToBase64(req.file.buffer, req.file.mimetype);
+    if (task.accepted_at) {
+      return res.status(409).json({ error: 'Task already accepted' });
+    }
 
-    // Insert into database
     const result = await client.query(`
-      INSERT INTO problems (user_id, problem_categories, others_text, user_image_base64, user_image_mimetype, latitude, longitude, priority, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      UPDATE problems SET accepted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
       RETURNING *
-    `, [req.user.id, categoriesArray, others_text || null, imageData.base64, imageData.mimeType, lat, lng, priority, 'not completed']);
-
-    const problem = result.rows[0];
+    `, [problem_id]);
 
-    // Add initial status history
+    // Accepting does not change the status, so the entry carries no worker_id: the statistics
+    // only count entries with one as lifecycle events (assignments, completions, reopens)
     await client.query(`
       INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes)
       VALUES ($1, $2, $3, $4)
-    `, [problem.id, 'not completed', req.user.id, 'Problem submitted']);
+    `, [problem_id, task.status, req.user.id, 'Task accepted by worker']);
 
+    auditChange(req, 'problem', task.id, problemAuditSnapshot(task), problemAuditSnapshot(result.rows[0]));
     res.json({ 
-      message: 'Problem created successfully', 
-      problem: problem
+      message: 'Task accepted successfully', 
+      problem: formatProblem(result.rows[0])
     });
   } catch (error) {
-    console.error('Create problem error:', error);
-    res.status(500).json({ error: 'Failed to create problem entry', details: error.message });
+    console.error('Accept task error:', error);
+    res.status(500).json({ error: 'Failed to accept task', details: error.message });
   }
 });
 
-// Get User's Problems
-app.get('/api/problems/user/:user_id', authenticateToken, async (req, res) => {
+// Start Work on a Task
+app.post('/api/workers/me/tasks/:problem_id/start', authenticateToken, authorize('tasks:manage'), async (req, res) => {
   try {
-    const { user_id } = req.params;
+    const { problem_id } = req.params;
+    const { notes } = req.body;
+
+    const task = await findWorkerTask(req.user.id, problem_id);
 
-    // Users can only see their own problems unless they're admin
-    if (req.user.id !== parseInt(user_id) && !['district-magistrate', 'department-head'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found in your queue' });
     }
 
-    const result = await client.query(`
-      SELECT p.*, u.name as user_name, u.email as user_email
-      FROM problems p
-      JOIN users u ON p.user_id = u.id
-      WHERE p.user_id = $1 
-      ORDER BY p.created_at DESC
-    `, [user_id]);
+    const transitionError = validateStatusTransition(task, 'in-progress', req.user);
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(transitionError.body);
+    }
 
-    const problems = result.rows.map(problem => ({
-      ...problem,
-      user_image_status: problem.user_image_base64 ? 'image_available' : null,
-      admin_image_status: problem.admin_image_base64 ? 'image_available' : null
-    }));
+    // Starting implies accepting
+    const problem = await changeProblemStatus(task.id, 'in-progress', req.user.id, notes || 'Work started', {
+      accepted_at: task.accepted_at || new Date()
+    });
 
-    res.json({ problems });
+    auditChange(req, 'problem', task.id, problemAuditSnapshot(task), problemAuditSnapshot(problem));
+    res.json({ 
+      message: 'Task started successfully', 
+      problem: formatProblem(problem)
+    });
   } catch (error) {
-    console.error('Fetch user problems error:', error);
-    res.status(500).json({ error: 'Failed to fetch user problems', details: error.message });
+    console.error('Start task error:', error);
+    res.status(500).json({ error: 'Failed to start task', details: error.message });
   }
 });
 
-// Get All Problems (Admin)
-app.get('/api/admin/problems', authenticateToken, async (req, res) => {
+// Decline an Assigned Task
+app.post('/api/workers/me/tasks/:problem_id/decline', authenticateToken, authorize('tasks:manage'), async (req, res) => {
   try {
-    if (!['district-magistrate', 'department-head', 'field-worker'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
+    const { problem_id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason for declining is required' });
     }
 
-    let query = `
-      SELECT p.*, u.name as user_name, u.email as user_email,
-             w.name as assigned_worker_name, d.name as department_name
-      FROM problems p
-      JOIN users u ON p.user_id = u.id
-      LEFT JOIN users w ON p.assigned_worker_id = w.id
-      LEFT JOIN departments d ON p.assigned_department = d.name
-    `;
+    const task = await findWorkerTask(req.user.id, problem_id);
 
-    let queryParams = [];
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found in your queue' });
+    }
 
-    // Filter by department for department heads
-    if (req.user.role === 'department-head') {
-      const categoryMapping = {
-        'सफाई विभाग': ['Garbage & Waste Management', 'सफाई और कचरा प्रबंधन', 'Garbage & Waste', 'Garbage & Waste (roadside dumps, no dustbins, poor segregation)', 'Pollution (open garbage burning)'],
-        'जल विभाग': ['Water Supply', 'जल आपूर्ति', 'Water & Sanitation'],
-        'सड़क विभाग': ['Roads & Transportation', 'सड़क और परिवहन', 'Roads & Infrastructure'],
-        'विद्युत विभाग': ['Electricity', 'बिजली', 'Power & Utilities']
-      };
-      const categories = categoryMapping[req.user.department] || [req.user.department];
-      // Use string matching to check categories  
-      query += ` WHERE (p.assigned_department = $1 OR 
-        p.problem_categories::text LIKE '%Garbage%' OR 
-        p.problem_categories::text LIKE '%सफाई%' OR
-        p.problem_categories::text LIKE '%Waste%')`;
-      queryParams.push(req.user.department);
+    // Work that was started or sent back after a failed fix stays with the worker
+    if (task.status !== 'assigned') {
+      return res.status(409).json({
+        error: `Cannot decline a task that is ${task.status}; ask your department head to reassign it`,
+        current_status: task.status
+      });
     }
 
-    // Filter by assigned worker for field workers
-    if (req.user.role === 'field-worker') {
-      query += ` WHERE p.assigned_worker_id = $1`;
-      queryParams.push(req.user.id);
+    const transitionError = validateStatusTransition(task, 'triaged', req.user, { notes: reason });
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json(transitionError.body);
     }
 
-    query += ` ORDER BY p.created_at DESC`;
+    // Back to the department queue for someone else to pick up
+    const problem = await changeProblemStatus(task.id, 'triaged', req.user.id, `Declined by worker: ${reason}`, {
+      assigned_worker_id: null,
+      accepted_at: null
+    });
 
-    const result = await client.query(query, queryParams);
+    if (problem.assigned_department) {
+      await createNotification({
+        title: `Complaint #${problem.id} declined`,
+        message: `Field worker #${req.user.id} declined complaint #${problem.id}: ${reason}`,
+        type: 'warning',
+        senderId: req.user.id,
+        recipientIds: await departmentHeadIds(problem.assigned_department),
+        department: problem.assigned_department,
+        relatedProblemId: problem.id,
+        actionRequired: true
+      });
+    }
 
-    const problems = result.rows.map(problem => ({
-      ...problem,
-      user_image_status: problem.user_image_base64 ? 'image_available' : null,
-      admin_image_status: problem.admin_image_base64 ? 'image_available' : null
-    }));
+    auditChange(req, 'problem', task.id, problemAuditSnapshot(task), problemAuditSnapshot(problem));
+    res.json({ 
+      message: 'Task declined and returned to the department queue', 
+      problem: formatProblem(problem)
+    });
+  } catch (error) {
+    console.error('Decline task error:', error);
+    res.status(500).json({ error: 'Failed to decline task', details: error.message });
+  }
+});
+
+// ==================== DEPARTMENT MANAGEMENT ROUTES ====================
+
+// Get All Departments
+app.get('/api/admin/departments', authenticateToken, authorize('departments:read'), async (req, res) => {
+  try {
+    const result = await client.query(`
+      SELECT d.*, u.name as head_name, u.email as head_email
+      FROM departments d
+      LEFT JOIN users u ON d.head_id = u.id
+      ORDER BY d.name
+    `);
 
-    res.json({ problems });
+    res.json({ departments: result.rows });
   } catch (error) {
-    console.error('Admin fetch problems error:', error);
-    res.status(500).json({ error: 'Failed to fetch all problems', details: error.message });
+    console.error('Get departments error:', error);
+    res.status(500).json({ error: 'Failed to get departments', details: error.message });
   }
 });
 
-// Mark Problem as Completed
-app.post('/api/admin/problems/:problem_id/complete', authenticateToken, upload.single('completed_image'), async (req, res) => {
+// Create Department
+app.post('/api/admin/departments', authenticateToken, authorize('departments:manage'), async (req, res) => {
   try {
-    const { problem_id } = req.params;
-    const { completion_notes } = req.body;
+    const { 
+      name, name_en, head_id, description, phone, email, location, 
+      budget, established_year, auto_assign = false 
+    } = req.body;
 
-    if (!['district-magistrate', 'department-head', 'field-worker'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
+    if (!name || !name_en) {
+      return res.status(400).json({ error: 'Department name (both Hindi and English) is required' });
     }
 
-    if (!req.file) {
-      return res.status(400).json({ error: 'Completed image file is required' });
-    }
+    const result = await client.query(`
+      INSERT INTO departments (name, name_en, head_id, description, phone, email, location, budget, established_year, auto_assign)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [name, name_en, head_id, description, phone, email, location, budget, established_year, auto_assign]);
+
+    auditChange(req, 'department', result.rows[0].id, null, result.rows[0]);
+    res.json({ 
+      message: 'Department created successfully',
+      department: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create department error:', error);
+    res.status(500).json({ error: 'Failed to create department', details: error.message });
+  }
+});
+
+// Update Department
+app.put('/api/admin/departments/:dept_id', authenticateToken, authorize('departments:manage'), async (req, res) => {
+  try {
+    const { dept_id } = req.params;
+    const { 
+      name, name_en, head_id, description, phone, email, location, 
+      budget, status, auto_assign 
+    } = req.body;
 
-    // Convert completed image to base64
-    const imageData = convertImageToBase64(req.file.buffer, req.file.mimetype);
+    const existing = await client.query('SELECT * FROM departments WHERE id = $1', [dept_id]);
 
-    // Update problem status and admin image
     const result = await client.query(`
-      UPDATE problems 
-      SET status = $1, admin_image_base64 = $2, admin_image_mimetype = $3, 
-          completion_notes = $4, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $5
+      UPDATE departments 
+      SET name = COALESCE($1, name),
+          name_en = COALESCE($2, name_en),
+          head_id = COALESCE($3, head_id),
+          description = COALESCE($4, description),
+          phone = COALESCE($5, phone),
+          email = COALESCE($6, email),
+          location = COALESCE($7, location),
+          budget = COALESCE($8, budget),
+          status = COALESCE($9, status),
+          auto_assign = COALESCE($10, auto_assign),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $11
       RETURNING *
-    `, ['completed', imageData.base64, imageData.mimeType, completion_notes, problem_id]);
+    `, [name, name_en, head_id, description, phone, email, location, budget, status, auto_assign, dept_id]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Problem not found' });
+      return res.status(404).json({ error: 'Department not found' });
     }
 
-    const problem = result.rows[0];
-
-    // Add status history
-    await client.query(`
-      INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes)
-      VALUES ($1, $2, $3, $4)
-    `, [problem_id, 'completed', req.user.id, completion_notes || 'Problem marked as completed']);
+    auditChange(req, 'department', dept_id, existing.rows[0], result.rows[0]);
 
     res.json({ 
-      message: 'Problem marked as completed successfully', 
-      problem: problem
+      message: 'Department updated successfully',
+      department: result.rows[0]
     });
   } catch (error) {
-    console.error('Mark problem completed error:', error);
-    res.status(500).json({ error: 'Failed to mark problem as completed', details: error.message });
+    console.error('Update department error:', error);
+    res.status(500).json({ error: 'Failed to update department', details: error.message });
   }
 });
 
-// Assign Worker to Problem
-app.post('/api/admin/problems/:problem_id/assign', authenticateToken, async (req, res) => {
+// ==================== CATEGORY ROUTING ROUTES ====================
+
+// Get Category -> Department Routes
+app.get('/api/admin/category-routes', authenticateToken, authorize('category-routes:read'), async (req, res) => {
   try {
-    const { problem_id } = req.params;
-    const { worker_id, department, estimated_completion } = req.body;
+    const { department, language } = req.query;
+    const conditions = [];
+    const queryParams = [];
+
+    if (department) {
+      queryParams.push(department);
+      conditions.push(`department = $${queryParams.length}`);
+    }
 
-    if (!['district-magistrate', 'department-head'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
+    if (language) {
+      queryParams.push(language);
+      conditions.push(`language = $${queryParams.length}`);
     }
 
     const result = await client.query(`
-      UPDATE problems 
-      SET assigned_worker_id = $1, assigned_department = $2, 
-          estimated_completion = $3, status = 'in-progress',
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $4
-      RETURNING *
-    `, [worker_id, department, estimated_completion, problem_id]);
+      SELECT * FROM category_department_routes
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY department, canonical_category, language, category
+    `, queryParams);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Problem not found' });
+    res.json({ routes: result.rows });
+  } catch (error) {
+    console.error('Get category routes error:', error);
+    res.status(500).json({ error: 'Failed to get category routes', details: error.message });
+  }
+});
+
+// Create Category Route
+app.post('/api/admin/category-routes', authenticateToken, authorize('category-routes:manage'), async (req, res) => {
+  try {
+    const {
+      category, department, language = 'en', canonical_category,
+      min_latitude, max_latitude, min_longitude, max_longitude
+    } = req.body;
+
+    if (!category || !department) {
+      return res.status(400).json({ error: 'category and department are required' });
     }
 
-    // Add status history
-    await client.query(`
-      INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes)
-      VALUES ($1, $2, $3, $4)
-    `, [problem_id, 'in-progress', req.user.id, `Worker assigned: ${worker_id}`]);
+    const departmentResult = await client.query('SELECT 1 FROM departments WHERE name = $1', [department]);
+    if (departmentResult.rows.length === 0) {
+      return res.status(400).json({ error: `Unknown department: ${department}` });
+    }
 
-    // Update worker statistics
-    await client.query(`
-      UPDATE workers 
-      SET total_assigned = total_assigned + 1
-      WHERE user_id = $1
-    `, [worker_id]);
+    const result = await client.query(`
+      INSERT INTO category_department_routes (
+        category, department, language, canonical_category,
+        min_latitude, max_latitude, min_longitude, max_longitude
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      category, department, language, canonical_category || category,
+      min_latitude, max_latitude, min_longitude, max_longitude
+    ]);
 
-    res.json({ 
-      message: 'Worker assigned successfully', 
-      problem: result.rows[0]
+    auditChange(req, 'category-route', result.rows[0].id, null, result.rows[0]);
+    res.status(201).json({
+      message: 'Category route created successfully',
+      route: result.rows[0]
     });
   } catch (error) {
-    console.error('Assign worker error:', error);
-    res.status(500).json({ error: 'Failed to assign worker', details: error.message });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This category is already routed to this department' });
+    }
+    console.error('Create category route error:', error);
+    res.status(500).json({ error: 'Failed to create category route', details: error.message });
   }
 });
 
-// Update Problem Priority/Status
-app.patch('/api/admin/problems/:problem_id', authenticateToken, async (req, res) => {
+// Update Category Route
+app.put('/api/admin/category-routes/:route_id', authenticateToken, authorize('category-routes:manage'), async (req, res) => {
   try {
-    const { problem_id } = req.params;
-    const { status, priority, notes } = req.body;
-
-    if (!['district-magistrate', 'department-head', 'field-worker'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
-    }
+    const { route_id } = req.params;
+    const {
+      category, department, language, canonical_category,
+      min_latitude, max_latitude, min_longitude, max_longitude
+    } = req.body;
 
-    const updates = [];
-    const values = [];
-    let paramCount = 1;
+    const existing = await client.query('SELECT * FROM category_department_routes WHERE id = $1', [route_id]);
 
-    if (status) {
-      updates.push(`status = $${paramCount++}`);
-      values.push(status);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Category route not found' });
     }
 
-    if (priority) {
-      updates.push(`priority = $${paramCount++}`);
-      values.push(priority);
+    if (department) {
+      const departmentResult = await client.query('SELECT 1 FROM departments WHERE name = $1', [department]);
+      if (departmentResult.rows.length === 0) {
+        return res.status(400).json({ error: `Unknown department: ${department}` });
+      }
     }
 
-    updates.push(`updated_at = CURRENT_TIMESTAMP`);
-    values.push(problem_id);
-
     const result = await client.query(`
-      UPDATE problems 
-      SET ${updates.join(', ')}
-      WHERE id = $${paramCount}
+      UPDATE category_department_routes
+      SET category = COALESCE($1, category),
+          department = COALESCE($2, department),
+          language = COALESCE($3, language),
+          canonical_category = COALESCE($4, canonical_category),
+          min_latitude = COALESCE($5, min_latitude),
+          max_latitude = COALESCE($6, max_latitude),
+          min_longitude = COALESCE($7, min_longitude),
+          max_longitude = COALESCE($8, max_longitude),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $9
       RETURNING *
-    `, values);
+    `, [
+      category, department, language, canonical_category,
+      min_latitude, max_latitude, min_longitude, max_longitude, route_id
+    ]);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Problem not found' });
+    auditChange(req, 'category-route', route_id, existing.rows[0], result.rows[0]);
+    res.json({
+      message: 'Category route updated successfully',
+      route: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This category is already routed to this department' });
     }
+    console.error('Update category route error:', error);
+    res.status(500).json({ error: 'Failed to update category route', details: error.message });
+  }
+});
 
-    // Add status history if status changed
-    if (status) {
-      await client.query(`
-        INSERT INTO problem_status_history (problem_id, status, updated_by_id, notes)
-        VALUES ($1, $2, $3, $4)
-      `, [problem_id, status, req.user.id, notes || `Status updated to ${status}`]);
+// Delete Category Route
+app.delete('/api/admin/category-routes/:route_id', authenticateToken, authorize('category-routes:manage'), async (req, res) => {
+  try {
+    const { route_id } = req.params;
+
+    const result = await client.query(`
+      DELETE FROM category_department_routes WHERE id = $1 RETURNING *
+    `, [route_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Category route not found' });
     }
 
-    res.json({ 
-      message: 'Problem updated successfully', 
-      problem: result.rows[0]
+    auditChange(req, 'category-route', route_id, result.rows[0], null);
+    res.json({
+      message: 'Category route deleted successfully',
+      route: result.rows[0]
     });
   } catch (error) {
-    console.error('Update problem error:', error);
-    res.status(500).json({ error: 'Failed to update problem', details: error.message });
+    console.error('Delete category route error:', error);
+    res.status(500).json({ error: 'Failed to delete category route', details: error.message });
   }
 });
 
-// Get Problem Status History
-app.get('/api/problems/:problem_id/history', authenticateToken, async (req, res) => {
+// ==================== WARD MANAGEMENT ROUTES ====================
+
+// Get All Wards
+app.get('/api/admin/wards', authenticateToken, authorize('wards:read'), async (req, res) => {
   try {
-    const { problem_id } = req.params;
+    const result = await client.query(`
+      SELECT w.id, w.name, w.name_en, w.ward_number, w.population, w.officer_id,
+             o.name as officer_name, w.min_latitude, w.max_latitude, w.min_longitude, w.max_longitude,
+             w.created_at, w.updated_at
+      FROM wards w
+      LEFT JOIN users o ON w.officer_id = o.id
+      ORDER BY w.ward_number NULLS LAST, w.name
+    `);
+
+    res.json({ wards: result.rows });
+  } catch (error) {
+    console.error('Get wards error:', error);
+    res.status(500).json({ error: 'Failed to get wards', details: error.message });
+  }
+});
 
+// Export Wards as GeoJSON
+app.get('/api/admin/wards/geojson', authenticateToken, authorize('wards:read'), async (req, res) => {
+  try {
     const result = await client.query(`
-      SELECT psh.*, u.name as updated_by_name
-      FROM problem_status_history psh
-      JOIN users u ON psh.updated_by_id = u.id
-      WHERE psh.problem_id = $1
-      ORDER BY psh.created_at ASC
-    `, [problem_id]);
+      SELECT w.*, o.name as officer_name
+      FROM wards w
+      LEFT JOIN users o ON w.officer_id = o.id
+      ORDER BY w.ward_number NULLS LAST, w.name
+    `);
 
-    res.json({ history: result.rows });
+    res.type('application/geo+json').send(JSON.stringify({
+      type: 'FeatureCollection',
+      features: result.rows.map(wardToFeature)
+    }));
   } catch (error) {
-    console.error('Get problem history error:', error);
-    res.status(500).json({ error: 'Failed to get problem history', details: error.message });
+    console.error('Export wards error:', error);
+    res.status(500).json({ error: 'Failed to export wards', details: error.message });
   }
 });
 
-// ==================== WORKER MANAGEMENT ROUTES ====================
-
-// Get All Workers
-app.get('/api/admin/workers', authenticateToken, async (req, res) => {
+// Import Wards from GeoJSON (upserts by ward name)
+app.post('/api/admin/wards/import', authenticateToken, authorize('wards:manage'), async (req, res) => {
   try {
-    if (!['district-magistrate', 'department-head'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
+    const geojson = req.body;
+    const features = geojson && geojson.type === 'FeatureCollection' ? geojson.features
+      : geojson && geojson.type === 'Feature' ? [geojson] : null;
+
+    if (!Array.isArray(features) || features.length === 0) {
+      return res.status(400).json({ error: 'Body must be a GeoJSON Feature or non-empty FeatureCollection' });
     }
 
-    let query = `
-      SELECT u.*, w.specializations, w.efficiency_rating, w.total_assigned, 
-             w.total_completed, w.avg_completion_time, w.current_status, 
-             w.last_active, w.location_lat, w.location_lng
-      FROM users u
-      LEFT JOIN workers w ON u.id = w.user_id
-      WHERE u.role = 'field-worker' AND u.is_active = true
-    `;
+    // Validate everything up front so a bad feature does not leave a half-imported set
+    for (const feature of features) {
+      const name = feature.properties && feature.properties.name;
+      if (!name) {
+        return res.status(400).json({ error: 'Every ward feature needs a name property' });
+      }
+      if (!parseWardGeometry(feature.geometry)) {
+        return res.status(400).json({ error: `Ward "${name}" must have a valid Polygon or MultiPolygon geometry` });
+      }
+    }
 
-    if (req.user.role === 'department-head') {
-      query += ` AND u.department = $1`;
-      const result = await client.query(query, [req.user.department]);
-      res.json({ workers: result.rows });
-    } else {
-      const result = await client.query(query);
-      res.json({ workers: result.rows });
+    // Problems can only change ward within the old or new extent of an imported ward
+    const previous = await client.query(`
+      SELECT * FROM wards WHERE name = ANY($1::text[])
+    `, [features.map(feature => feature.properties.name)]);
+
+    const wards = [];
+    for (const feature of features) {
+      wards.push(await upsertWardFromFeature(feature));
     }
+
+    const reassigned = await reassignProblemWards([...previous.rows, ...wards]);
+
+    auditChange(req, 'ward', null,
+      { wards: previous.rows.map(wardAuditSnapshot) },
+      { wards: wards.map(wardAuditSnapshot), problems_reassigned: reassigned });
+    res.json({
+      message: `${wards.length} wards imported successfully`,
+      wards: wards.map(wardToFeature),
+      problems_reassigned: reassigned
+    });
   } catch (error) {
-    console.error('Get workers error:', error);
-    res.status(500).json({ error: 'Failed to get workers', details: error.message });
+    console.error('Import wards error:', error);
+    res.status(500).json({ error: 'Failed to import wards', details: error.message });
   }
 });
 
-// Create Worker Profile
-app.post('/api/admin/workers', authenticateToken, async (req, res) => {
+// Update Ward
+app.put('/api/admin/wards/:ward_id', authenticateToken, authorize('wards:manage'), async (req, res) => {
   try {
-    const { user_id, specializations, current_status } = req.body;
+    const { ward_id } = req.params;
+    const { name, name_en, ward_number, population, officer_id, boundary } = req.body;
 
-    if (!['district-magistrate', 'department-head'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
+    const existing = await client.query('SELECT * FROM wards WHERE id = $1', [ward_id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Ward not found' });
     }
 
-    // Check if user exists and is a field worker
-    const userResult = await client.query(`
-      SELECT * FROM users WHERE id = $1 AND role = 'field-worker' AND is_active = true
-    `, [user_id]);
+    if (boundary && !parseWardGeometry(boundary)) {
+      return res.status(400).json({ error: 'boundary must be a valid GeoJSON Polygon or MultiPolygon' });
+    }
 
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Field worker not found' });
+    if (name !== undefined && !name) {
+      return res.status(400).json({ error: 'name cannot be empty' });
     }
 
-    const result = await client.query(`
-      INSERT INTO workers (user_id, specializations, current_status)
-      VALUES ($1, $2, $3)
-      ON CONFLICT (user_id) 
-      DO UPDATE SET 
-        specializations = $2, 
-        current_status = $3,
-        updated_at = CURRENT_TIMESTAMP
-      RETURNING *
-    `, [user_id, specializations, current_status || 'available']);
+    // Fields left out keep their value; null clears an optional field
+    const ward = existing.rows[0];
+    const updated = {
+      name: name || ward.name,
+      name_en: name_en !== undefined ? name_en : ward.name_en,
+      ward_number: ward_number !== undefined ? ward_number : ward.ward_number,
+      population: population !== undefined ? population : ward.population,
+      officer_id: officer_id !== undefined ? officer_id : ward.officer_id
+    };
 
-    res.json({ 
-      message: 'Worker profile created/updated successfully',
-      worker: result.rows[0]
+    await client.query(`
+      UPDATE wards
+      SET name = $1, name_en = $2, ward_number = $3, population = $4, officer_id = $5,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6
+    `, [updated.name, updated.name_en, updated.ward_number, updated.population, updated.officer_id, ward_id]);
+
+    let reassigned = 0;
+    if (boundary) {
+      const reshaped = await upsertWardFromFeature({ properties: updated, geometry: boundary });
+      reassigned = await reassignProblemWards([ward, reshaped]);
+    }
+
+    const result = await client.query(`
+      SELECT w.*, o.name as officer_name
+      FROM wards w
+      LEFT JOIN users o ON w.officer_id = o.id
+      WHERE w.id = $1
+    `, [ward_id]);
+
+    auditChange(req, 'ward', ward_id, wardAuditSnapshot(ward), wardAuditSnapshot(result.rows[0]));
+    res.json({
+      message: 'Ward updated successfully',
+      ward: wardToFeature(result.rows[0]),
+      problems_reassigned: reassigned
     });
   } catch (error) {
-    console.error('Create worker error:', error);
-    res.status(500).json({ error: 'Failed to create worker profile', details: error.message });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A ward with this name already exists' });
+    }
+    console.error('Update ward error:', error);
+    res.status(500).json({ error: 'Failed to update ward', details: error.message });
   }
 });
 
-// Update Worker Status/Location
-app.patch('/api/workers/:worker_id/status', authenticateToken, async (req, res) => {
+// Delete Ward
+app.delete('/api/admin/wards/:ward_id', authenticateToken, authorize('wards:manage'), async (req, res) => {
   try {
-    const { worker_id } = req.params;
-    const { current_status, location_lat, location_lng } = req.body;
-
-    // Workers can update their own status, admins can update any
-    if (req.user.id !== parseInt(worker_id) && !['district-magistrate', 'department-head'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
-    }
+    const { ward_id } = req.params;
 
-    const result = await client.query(`
-      UPDATE workers 
-      SET current_status = COALESCE($1, current_status),
-          location_lat = COALESCE($2, location_lat),
-          location_lng = COALESCE($3, location_lng),
-          last_active = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE user_id = $4
-      RETURNING *
-    `, [current_status, location_lat, location_lng, worker_id]);
+    const result = await client.query('DELETE FROM wards WHERE id = $1 RETURNING *', [ward_id]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Worker not found' });
+      return res.status(404).json({ error: 'Ward not found' });
     }
 
-    res.json({ 
-      message: 'Worker status updated successfully',
-      worker: result.rows[0]
+    // Problems in the deleted ward may fall inside an overlapping neighbour
+    const reassigned = await reassignProblemWards(result.rows);
+
+    auditChange(req, 'ward', ward_id, wardAuditSnapshot(result.rows[0]), null);
+    res.json({
+      message: 'Ward deleted successfully',
+      ward: wardToFeature(result.rows[0]),
+      problems_reassigned: reassigned
     });
   } catch (error) {
-    console.error('Update worker status error:', error);
-    res.status(500).json({ error: 'Failed to update worker status', details: error.message });
+    console.error('Delete ward error:', error);
+    res.status(500).json({ error: 'Failed to delete ward', details: error.message });
   }
 });
 
-// ==================== DEPARTMENT MANAGEMENT ROUTES ====================
+// ==================== SLA POLICY ROUTES ====================
 
-// Get All Departments
-app.get('/api/admin/departments', authenticateToken, async (req, res) => {
+// Get SLA Policies
+app.get('/api/admin/sla-policies', authenticateToken, authorize('sla-policies:read'), async (req, res) => {
   try {
-    if (!['district-magistrate', 'department-head'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
-    }
-
     const result = await client.query(`
-      SELECT d.*, u.name as head_name, u.email as head_email
-      FROM departments d
-      LEFT JOIN users u ON d.head_id = u.id
-      ORDER BY d.name
+      SELECT * FROM sla_policies
+      ORDER BY category NULLS LAST, priority NULLS LAST
     `);
 
-    res.json({ departments: result.rows });
+    res.json({ policies: result.rows });
   } catch (error) {
-    console.error('Get departments error:', error);
-    res.status(500).json({ error: 'Failed to get departments', details: error.message });
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({ error: 'Failed to get SLA policies', details: error.message });
   }
 });
 
-// Create Department
-app.post('/api/admin/departments', authenticateToken, async (req, res) => {
+// Create SLA Policy
+app.post('/api/admin/sla-policies', authenticateToken, authorize('sla-policies:manage'), async (req, res) => {
   try {
-    if (req.user.role !== 'district-magistrate') {
-      return res.status(403).json({ error: 'Only District Magistrate can create departments' });
-    }
-
-    const { 
-      name, name_en, head_id, description, phone, email, location, 
-      budget, established_year 
-    } = req.body;
+    const { category, priority, resolution_hours, escalate_after_hours = 24, is_active = true } = req.body;
 
-    if (!name || !name_en) {
-      return res.status(400).json({ error: 'Department name (both Hindi and English) is required' });
+    if (!resolution_hours || parseInt(resolution_hours) <= 0) {
+      return res.status(400).json({ error: 'resolution_hours must be a positive number' });
     }
 
     const result = await client.query(`
-      INSERT INTO departments (name, name_en, head_id, description, phone, email, location, budget, established_year)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      INSERT INTO sla_policies (category, priority, resolution_hours, escalate_after_hours, is_active)
+      VALUES ($1, $2, $3, $4, $5)
       RETURNING *
-    `, [name, name_en, head_id, description, phone, email, location, budget, established_year]);
+    `, [category || null, priority || null, resolution_hours, escalate_after_hours, is_active]);
 
-    res.json({ 
-      message: 'Department created successfully',
-      department: result.rows[0]
+    await reapplySlaPoliciesToOpenProblems();
+
+    auditChange(req, 'sla-policy', result.rows[0].id, null, result.rows[0]);
+    res.status(201).json({ 
+      message: 'SLA policy created successfully',
+      policy: result.rows[0]
     });
   } catch (error) {
-    console.error('Create department error:', error);
-    res.status(500).json({ error: 'Failed to create department', details: error.message });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An SLA policy for this category and priority already exists' });
+    }
+    console.error('Create SLA policy error:', error);
+    res.status(500).json({ error: 'Failed to create SLA policy', details: error.message });
   }
 });
 
-// Update Department
-app.put('/api/admin/departments/:dept_id', authenticateToken, async (req, res) => {
+// Update SLA Policy
+app.put('/api/admin/sla-policies/:policy_id', authenticateToken, authorize('sla-policies:manage'), async (req, res) => {
   try {
-    if (req.user.role !== 'district-magistrate') {
-      return res.status(403).json({ error: 'Only District Magistrate can update departments' });
-    }
+    const { policy_id } = req.params;
+    const { resolution_hours, escalate_after_hours, is_active } = req.body;
 
-    const { dept_id } = req.params;
-    const { 
-      name, name_en, head_id, description, phone, email, location, 
-      budget, status 
-    } = req.body;
+    const existing = await client.query('SELECT * FROM sla_policies WHERE id = $1', [policy_id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'SLA policy not found' });
+    }
 
     const result = await client.query(`
-      UPDATE departments 
-      SET name = COALESCE($1, name),
-          name_en = COALESCE($2, name_en),
-          head_id = COALESCE($3, head_id),
-          description = COALESCE($4, description),
-          phone = COALESCE($5, phone),
-          email = COALESCE($6, email),
-          location = COALESCE($7, location),
-          budget = COALESCE($8, budget),
-          status = COALESCE($9, status),
+      UPDATE sla_policies
+      SET resolution_hours = COALESCE($1, resolution_hours),
+          escalate_after_hours = COALESCE($2, escalate_after_hours),
+          is_active = COALESCE($3, is_active),
           updated_at = CURRENT_TIMESTAMP
-      WHERE id = $10
+      WHERE id = $4
       RETURNING *
-    `, [name, name_en, head_id, description, phone, email, location, budget, status, dept_id]);
+    `, [resolution_hours, escalate_after_hours, is_active, policy_id]);
+
+    await reapplySlaPoliciesToOpenProblems();
+
+    auditChange(req, 'sla-policy', policy_id, existing.rows[0], result.rows[0]);
+    res.json({ 
+      message: 'SLA policy updated successfully',
+      policy: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    res.status(500).json({ error: 'Failed to update SLA policy', details: error.message });
+  }
+});
+
+// Delete SLA Policy
+app.delete('/api/admin/sla-policies/:policy_id', authenticateToken, authorize('sla-policies:manage'), async (req, res) => {
+  try {
+    const { policy_id } = req.params;
+
+    const result = await client.query('DELETE FROM sla_policies WHERE id = $1 RETURNING *', [policy_id]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Department not found' });
+      return res.status(404).json({ error: 'SLA policy not found' });
     }
 
+    await reapplySlaPoliciesToOpenProblems();
+
+    auditChange(req, 'sla-policy', policy_id, result.rows[0], null);
     res.json({ 
-      message: 'Department updated successfully',
-      department: result.rows[0]
+      message: 'SLA policy deleted successfully',
+      policy: result.rows[0]
     });
   } catch (error) {
-    console.error('Update department error:', error);
-    res.status(500).json({ error: 'Failed to update department', details: error.message });
+    console.error('Delete SLA policy error:', error);
+    res.status(500).json({ error: 'Failed to delete SLA policy', details: error.message });
   }
 });
 
 // ==================== NOTIFICATIONS ROUTES ====================
 
 // Get Notifications
-app.get('/api/notifications', authenticateToken, async (req, res) => {
+app.get('/api/notifications', authenticateToken, authorize('notifications:read'), async (req, res) => {
   try {
     const { limit = 50, offset = 0, category, type } = req.query;
 
@@ -1088,7 +7803,7 @@ app.get('/api/notifications', authenticateToken, async (req, res) => {
 });
 
 // Create Notification
-app.post('/api/notifications', authenticateToken, async (req, res) => {
+app.post('/api/notifications', authenticateToken, authorize('notifications:send'), async (req, res) => {
   try {
     const { 
       title, message, type, priority = 'medium', recipient_ids, department, 
@@ -1099,6 +7814,24 @@ app.post('/api/notifications', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Title, message, type, and category are required' });
     }
 
+    // Department heads can only message users of their own department, never broadcast
+    if (req.permissionScope === 'department') {
+      if (!Array.isArray(recipient_ids) || recipient_ids.length === 0) {
+        return res.status(400).json({ error: 'recipient_ids is required' });
+      }
+      const outside = await client.query(`
+        SELECT id FROM users WHERE id = ANY($1::int[]) AND department IS DISTINCT FROM $2
+      `, [recipient_ids, req.user.department]);
+      if (outside.rows.length > 0) {
+        return res.status(403).json({
+          error: `Recipients outside your department: ${outside.rows.map(row => row.id).join(', ')}`
+        });
+      }
+      if (department && department !== req.user.department) {
+        return res.status(403).json({ error: 'You can only send notifications for your own department' });
+      }
+    }
+
     const result = await client.query(`
       INSERT INTO notifications (
         title, message, type, priority, sender_id, recipient_ids, department,
@@ -1111,6 +7844,9 @@ app.post('/api/notifications', authenticateToken, async (req, res) => {
       category, related_problem_id, action_required, expires_at
     ]);
 
+    auditChange(req, 'notification', result.rows[0].id, null, result.rows[0]);
+    await publishNotificationEvent(result.rows[0]);
+
     res.json({ 
       message: 'Notification created successfully',
       notification: result.rows[0]
@@ -1122,7 +7858,7 @@ app.post('/api/notifications', authenticateToken, async (req, res) => {
 });
 
 // Mark Notification as Read
-app.patch('/api/notifications/:notification_id/read', authenticateToken, async (req, res) => {
+app.patch('/api/notifications/:notification_id/read', authenticateToken, authorize('notifications:read'), async (req, res) => {
   try {
     const { notification_id } = req.params;
 
@@ -1147,51 +7883,189 @@ app.patch('/api/notifications/:notification_id/read', authenticateToken, async (
   }
 });
 
+// ==================== REALTIME ROUTES ====================
 
-// ==================== ANALYTICS ROUTES (ENHANCED) ====================
+// The stream takes either the usual Authorization header or ?stream_token= from POST /api/events/token
+const authenticateStream = async (req, res, next) => {
+  if (req.headers['authorization'] || !req.query.stream_token) {
+    req.streamTokenType = 'access';
+    return authenticateToken(req, res, next);
+  }
 
-// Get Dashboard Analytics (Enhanced with better error handling)
-app.get('/api/analytics/dashboard', authenticateToken, async (req, res) => {
   try {
-    if (!['district-magistrate', 'department-head'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
+    const { user, error, code } = await verifyAccessToken(req.query.stream_token, { type: 'event-stream' });
+    if (error) {
+      return res.status(403).json({ error, code });
     }
+    req.user = user;
+    req.streamTokenType = 'event-stream';
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Failed to authenticate', details: error.message });
+  }
+};
 
-    let departmentFilter = '';
-    let queryParams = [];
-    
-    if (req.user.role === 'department-head') {
-      // For department heads, show problems assigned to their department OR problems in their category
-      const categoryMapping = {
-        'सफाई विभाग': ['Garbage & Waste Management', 'सफाई और कचरा प्रबंधन', 'Garbage & Waste', 'Garbage & Waste (roadside dumps, no dustbins, poor segregation)', 'Pollution (open garbage burning)'],
-        'जल विभाग': ['Water Supply', 'जल आपूर्ति', 'Water & Sanitation'],
-        'सड़क विभाग': ['Roads & Transportation', 'सड़क और परिवहन', 'Roads & Infrastructure'],
-        'विद्युत विभाग': ['Electricity', 'बिजली', 'Power & Utilities']
-      };
-      const categories = categoryMapping[req.user.department] || [req.user.department];
-      // Use string matching to check categories
-      departmentFilter = `WHERE (p.assigned_department = $1 OR 
-        p.problem_categories::text LIKE '%Garbage%' OR 
-        p.problem_categories::text LIKE '%सफाई%' OR
-        p.problem_categories::text LIKE '%Waste%')`;
-      queryParams.push(req.user.department);
+// Issue Event Stream Token
+app.post('/api/events/token', authenticateToken, authorize('events:subscribe'), (req, res) => {
+  res.json({
+    stream_token: generateStreamToken(req.user),
+    expires_in: STREAM_TOKEN_TTL_SECONDS
+  });
+});
+
+// Live Event Stream (Server-Sent Events)
+app.get('/api/events/stream', authenticateStream, authorize('events:subscribe'), async (req, res) => {
+  const types = parseListParam(req.query.types);
+  const unknownTypes = types.filter(type => !REALTIME_EVENT_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({ error: `Unknown event types: ${unknownTypes.join(', ')}. Valid types: ${REALTIME_EVENT_TYPES.join(', ')}` });
+  }
+
+  const resumeFrom = req.headers['last-event-id'] || req.query.last_event_id;
+  const lastEventId = resumeFrom === undefined ? null : parseInt(resumeFrom);
+  if (resumeFrom !== undefined && (isNaN(lastEventId) || lastEventId < 0)) {
+    return res.status(400).json({ error: 'Last-Event-ID must be a non-negative integer' });
+  }
+
+  const token = req.streamTokenType === 'access' ? req.headers['authorization'].split(' ')[1] : req.query.stream_token;
+  let lastSentId = lastEventId || 0;
+  let replaying = true;
+  const pending = [];
+
+  const write = (event, data, id) => {
+    res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Ids only ever grow, so anything at or below the last id sent was already delivered
+  const deliver = event => {
+    if (event.id <= lastSentId) {
+      return;
+    }
+    lastSentId = event.id;
+    if ((types.length === 0 || types.includes(event.type)) && canReceiveEvent(req.user, event)) {
+      write(event.type, { ...event.payload, event_id: event.id, created_at: event.created_at }, event.id);
+    }
+  };
+
+  // Live events that arrive during the replay wait until it has finished
+  const onEvent = event => (replaying ? pending.push(event) : deliver(event));
+  realtimeBus.on('event', onEvent);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), REALTIME_HEARTBEAT_SECONDS * 1000);
+
+  // Close the stream once the session behind it ends (logout, deactivation, expiry)
+  const sessionCheck = setInterval(async () => {
+    try {
+      // A stream token only has to be valid when connecting; after that the session decides
+      const { error, code } = await verifyAccessToken(token, {
+        type: req.streamTokenType,
+        ignoreExpiration: req.streamTokenType === 'event-stream'
+      });
+      if (error) {
+        write('session-ended', { error, code });
+        res.end();
+      }
+    } catch (error) {
+      console.error('Event stream session check error:', error);
+    }
+  }, REALTIME_SESSION_CHECK_SECONDS * 1000);
+
+  req.on('close', () => {
+    realtimeBus.off('event', onEvent);
+    clearInterval(heartbeat);
+    clearInterval(sessionCheck);
+  });
+
+  try {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 5000\n\n`);
+
+    const latest = await client.query('SELECT MAX(id) AS max_id, MIN(id) AS min_id FROM realtime_events');
+    const maxId = Number(latest.rows[0].max_id) || 0;
+    const minId = Number(latest.rows[0].min_id) || maxId + 1;
+
+    if (lastEventId === null) {
+      lastSentId = maxId;
+    } else if (lastEventId < minId - 1 || maxId - lastEventId > REALTIME_REPLAY_LIMIT) {
+      // Too far behind to replay: the client should reload its data over the REST API
+      write('resync', { reason: 'Events since the last received id are no longer available', last_event_id: maxId });
+      lastSentId = maxId;
+    } else {
+      const missed = await client.query(`
+        SELECT * FROM realtime_events WHERE id > $1 AND id <= $2 ORDER BY id
+      `, [lastEventId, maxId]);
+      missed.rows.map(toRealtimeEvent).forEach(deliver);
+      lastSentId = maxId;
     }
 
+    // The id lets a client that received nothing yet resume from here
+    write('ready', { last_event_id: lastSentId, types: types.length > 0 ? types : REALTIME_EVENT_TYPES }, lastSentId);
+
+    replaying = false;
+    pending.forEach(deliver);
+    pending.length = 0;
+  } catch (error) {
+    console.error('Event stream error:', error);
+    write('stream-error', { error: 'Failed to replay events', details: error.message });
+    res.end();
+  }
+});
+
+// ==================== ANALYTICS ROUTES (ENHANCED) ====================
+
+// Get Dashboard Analytics (Enhanced with better error handling)
+app.get('/api/analytics/dashboard', authenticateToken, authorize('analytics:read'), async (req, res) => {
+  try {
+    const queryParams = [];
+    const scopeConditions = resolveProblemScope(req.user, queryParams);
+    const departmentFilter = scopeConditions.length > 0 ? `WHERE ${scopeConditions.join(' AND ')}` : '';
+
     // Get basic statistics with better error handling
+    const statsParams = [...queryParams, PENDING_STATUSES, ACTIVE_STATUSES, RESOLVED_STATUSES];
+    const pendingParam = `$${queryParams.length + 1}`;
+    const activeParam = `$${queryParams.length + 2}`;
+    const resolvedParam = `$${queryParams.length + 3}`;
     const statsQuery = `
       SELECT 
         COUNT(*) as total_complaints,
-        COUNT(*) FILTER (WHERE status = 'not completed') as pending_complaints,
-        COUNT(*) FILTER (WHERE status = 'in-progress') as in_progress_complaints,
-        COUNT(*) FILTER (WHERE status = 'completed') as completed_complaints,
-        COALESCE(AVG(CASE WHEN status = 'completed' THEN EXTRACT(DAY FROM (updated_at - created_at)) END), 0) as avg_resolution_days
+        COUNT(*) FILTER (WHERE status = ANY(${pendingParam})) as pending_complaints,
+        COUNT(*) FILTER (WHERE status = ANY(${activeParam})) as in_progress_complaints,
+        COUNT(*) FILTER (WHERE status = ANY(${resolvedParam})) as completed_complaints,
+        COUNT(*) FILTER (WHERE status = 'rejected') as rejected_complaints,
+        COALESCE(AVG(CASE WHEN status = ANY(${resolvedParam}) THEN EXTRACT(DAY FROM (resolved_at - created_at)) END), 0) as avg_resolution_days
       FROM problems p
       ${departmentFilter}
     `;
 
-    const statsResult = await client.query(statsQuery, queryParams);
+    const statsResult = await client.query(statsQuery, statsParams);
     const stats = statsResult.rows[0];
 
+    // SLA compliance: met = resolved on or before the deadline, breached = flagged by the
+    // scheduler or resolved late; problems without a policy are not counted
+    const slaParams = [...queryParams, RESOLVED_STATUSES];
+    const closedParam = `$${slaParams.length}`;
+    const slaQuery = `
+      SELECT 
+        COUNT(*) FILTER (WHERE sla_due_at IS NOT NULL) as sla_tracked,
+        COUNT(*) FILTER (WHERE status = ANY(${closedParam}) AND resolved_at <= sla_due_at) as sla_met,
+        COUNT(*) FILTER (WHERE sla_breached_at IS NOT NULL OR resolved_at > sla_due_at) as sla_breached,
+        COUNT(*) FILTER (WHERE sla_due_at < CURRENT_TIMESTAMP AND NOT (status = ANY(${closedParam}))) as sla_overdue_open,
+        COUNT(*) FILTER (WHERE escalation_level >= 2 AND NOT (status = ANY(${closedParam}))) as escalated_to_dm
+      FROM problems p
+      ${departmentFilter}
+    `;
+
+    const slaResult = await client.query(slaQuery, slaParams);
+    const sla = slaResult.rows[0];
+    const slaMet = parseInt(sla.sla_met) || 0;
+    const slaBreached = parseInt(sla.sla_breached) || 0;
+
     // Get category breakdown with safe handling
     const categoryQuery = `
       SELECT 
@@ -1230,9 +8104,18 @@ app.get('/api/analytics/dashboard', authenticateToken, async (req, res) => {
       pendingComplaints: parseInt(stats.pending_complaints) || 0,
       inProgressComplaints: parseInt(stats.in_progress_complaints) || 0,
       completedComplaints: parseInt(stats.completed_complaints) || 0,
+      rejectedComplaints: parseInt(stats.rejected_complaints) || 0,
       avgResolutionDays: parseFloat(stats.avg_resolution_days) || 0,
       categoryBreakdown: categoryBreakdown,
-      recentComplaints: recentResult.rows || []
+      sla: {
+        tracked: parseInt(sla.sla_tracked) || 0,
+        met: slaMet,
+        breached: slaBreached,
+        overdueOpen: parseInt(sla.sla_overdue_open) || 0,
+        escalatedToMagistrate: parseInt(sla.escalated_to_dm) || 0,
+        complianceRate: slaMet + slaBreached > 0 ? Math.round((slaMet / (slaMet + slaBreached)) * 1000) / 10 : null
+      },
+      recentComplaints: recentResult.rows.map(formatProblem)
     };
 
     res.json(analytics);
@@ -1246,35 +8129,33 @@ app.get('/api/analytics/dashboard', authenticateToken, async (req, res) => {
       pendingComplaints: 0,
       inProgressComplaints: 0,
       completedComplaints: 0,
+      rejectedComplaints: 0,
       avgResolutionDays: 0,
       categoryBreakdown: {},
+      sla: null,
       recentComplaints: []
     });
   }
 });
 
 // Get Department Performance Analytics (Enhanced)
-app.get('/api/analytics/departments', authenticateToken, async (req, res) => {
+app.get('/api/analytics/departments', authenticateToken, authorize('analytics:departments'), async (req, res) => {
   try {
-    if (req.user.role !== 'district-magistrate') {
-      return res.status(403).json({ error: 'Only District Magistrate can access department analytics' });
-    }
-
     const result = await client.query(`
       SELECT 
         d.name,
         d.name_en,
         COALESCE(COUNT(p.id), 0) as total_complaints,
-        COALESCE(COUNT(p.id) FILTER (WHERE p.status = 'completed'), 0) as resolved_complaints,
-        COALESCE(COUNT(p.id) FILTER (WHERE p.status = 'not completed'), 0) as pending_complaints,
-        COALESCE(AVG(CASE WHEN p.status = 'completed' THEN EXTRACT(DAY FROM (p.updated_at - p.created_at)) END), 0) as avg_resolution_days,
+        COALESCE(COUNT(p.id) FILTER (WHERE p.status = ANY($1)), 0) as resolved_complaints,
+        COALESCE(COUNT(p.id) FILTER (WHERE p.status = ANY($2)), 0) as pending_complaints,
+        COALESCE(AVG(CASE WHEN p.status = ANY($1) THEN EXTRACT(DAY FROM (p.resolved_at - p.created_at)) END), 0) as avg_resolution_days,
         COALESCE(d.rating, 0) as rating,
         COALESCE(d.total_workers, 0) as total_workers
       FROM departments d
       LEFT JOIN problems p ON d.name = p.assigned_department
       GROUP BY d.id, d.name, d.name_en, d.rating, d.total_workers
       ORDER BY resolved_complaints DESC
-    `);
+    `, [RESOLVED_STATUSES, PENDING_STATUSES]);
 
     // Ensure all numeric values are properly formatted
     const departments = result.rows.map(dept => ({
@@ -1299,35 +8180,32 @@ app.get('/api/analytics/departments', authenticateToken, async (req, res) => {
 });
 
 // Get Worker Performance Analytics (Enhanced)
-app.get('/api/analytics/workers', authenticateToken, async (req, res) => {
+app.get('/api/analytics/workers', authenticateToken, authorize('analytics:read'), async (req, res) => {
   try {
-    if (!['district-magistrate', 'department-head'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
-    }
-
     let query = `
       SELECT 
         u.id, u.name, u.department,
         COALESCE(w.total_assigned, 0) as total_assigned, 
         COALESCE(w.total_completed, 0) as total_completed, 
+        COALESCE(w.total_reopened, 0) as total_reopened,
         COALESCE(w.efficiency_rating, 0) as efficiency_rating,
         COALESCE(w.avg_completion_time, 0) as avg_completion_time, 
         COALESCE(w.current_status, 'available') as current_status,
         COALESCE(COUNT(p.id), 0) as active_assignments
       FROM users u
       LEFT JOIN workers w ON u.id = w.user_id
-      LEFT JOIN problems p ON u.id = p.assigned_worker_id AND p.status = 'in-progress'
+      LEFT JOIN problems p ON u.id = p.assigned_worker_id AND p.status = ANY($1)
       WHERE u.role = 'field-worker' AND u.is_active = true
     `;
 
-    let queryParams = [];
+    let queryParams = [ACTIVE_STATUSES];
 
-    if (req.user.role === 'department-head') {
-      query += ` AND u.department = $1`;
+    if (req.permissionScope === 'department') {
+      query += ` AND u.department = $2`;
       queryParams.push(req.user.department);
     }
 
-    query += ` GROUP BY u.id, u.name, u.department, w.total_assigned, w.total_completed, w.efficiency_rating, w.avg_completion_time, w.current_status ORDER BY w.efficiency_rating DESC NULLS LAST`;
+    query += ` GROUP BY u.id, u.name, u.department, w.total_assigned, w.total_completed, w.total_reopened, w.efficiency_rating, w.avg_completion_time, w.current_status ORDER BY w.efficiency_rating DESC NULLS LAST`;
 
     const result = await client.query(query, queryParams);
 
@@ -1336,6 +8214,7 @@ app.get('/api/analytics/workers', authenticateToken, async (req, res) => {
       ...worker,
       total_assigned: parseInt(worker.total_assigned) || 0,
       total_completed: parseInt(worker.total_completed) || 0,
+      total_reopened: parseInt(worker.total_reopened) || 0,
       efficiency_rating: parseFloat(worker.efficiency_rating) || 0,
       avg_completion_time: parseFloat(worker.avg_completion_time) || 0,
       active_assignments: parseInt(worker.active_assignments) || 0
@@ -1352,63 +8231,131 @@ app.get('/api/analytics/workers', authenticateToken, async (req, res) => {
   }
 });
 
-// Get Ward-wise Analytics (Enhanced)
-app.get('/api/analytics/wards', authenticateToken, async (req, res) => {
+// Rebuild Performance Statistics
+app.post('/api/admin/analytics/rebuild', authenticateToken, authorize('analytics:rebuild'), async (req, res) => {
   try {
-    if (!['district-magistrate', 'department-head'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
+    const { from = null, to = null } = req.body;
+
+    const rangeError = validateStatsRange(from, to);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
     }
 
-    let departmentFilter = '';
-    let queryParams = [];
-    
-    if (req.user.role === 'department-head') {
-      // For department heads, filter by their department
-      const categoryMapping = {
-        'सफाई विभाग': ['Garbage & Waste Management', 'सफाई और कचरा प्रबंधन', 'Garbage & Waste', 'Garbage & Waste (roadside dumps, no dustbins, poor segregation)', 'Pollution (open garbage burning)'],
-        'जल विभाग': ['Water Supply', 'जल आपूर्ति', 'Water & Sanitation'],
-        'सड़क विभाग': ['Roads & Transportation', 'सड़क और परिवहन', 'Roads & Infrastructure'],
-        'विद्युत विभाग': ['Electricity', 'बिजली', 'Power & Utilities']
-      };
-      const categories = categoryMapping[req.user.department] || [req.user.department];
-      departmentFilter = 'WHERE (assigned_department = $1 OR problem_categories && $2)';
-      queryParams.push(req.user.department, categories);
+    const statistics = await rebuildStatistics({ from, to });
+
+    res.json({
+      message: 'Statistics rebuilt successfully',
+      range: { from, to },
+      ...statistics
+    });
+  } catch (error) {
+    console.error('Rebuild statistics error:', error);
+    res.status(500).json({ error: 'Failed to rebuild statistics', details: error.message });
+  }
+});
+
+// Get Stored Performance Snapshots
+app.get('/api/admin/analytics/performance', authenticateToken, authorize('analytics:read'), async (req, res) => {
+  try {
+    const { metric, from = null, to = null } = req.query;
+
+    const rangeError = validateStatsRange(from, to);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const conditions = [
+      `metric_name IN ('worker_performance', 'department_performance')`,
+      'date_range_start IS NOT DISTINCT FROM $1::date',
+      'date_range_end IS NOT DISTINCT FROM $2::date'
+    ];
+    const queryParams = [from, to];
+
+    if (metric) {
+      queryParams.push(metric);
+      conditions.push(`metric_name = $${queryParams.length}`);
     }
 
-    // Ward data based on geographic location with department filtering
+    // Department heads only see their own department
+    if (req.permissionScope === 'department') {
+      queryParams.push(req.user.department);
+      conditions.push(`department = $${queryParams.length}`);
+    }
+
+    const result = await client.query(`
+      SELECT metric_name, metric_value, metric_data, department, date_range_start, date_range_end, computed_at
+      FROM analytics
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY metric_name, metric_value DESC
+    `, queryParams);
+
+    res.json({ range: { from, to }, snapshots: result.rows });
+  } catch (error) {
+    console.error('Get performance snapshots error:', error);
+    res.status(500).json({ error: 'Failed to get performance snapshots', details: error.message });
+  }
+});
+
+// Get Ward-wise Analytics (Enhanced)
+app.get('/api/analytics/wards', authenticateToken, authorize('analytics:read'), async (req, res) => {
+  try {
+    const queryParams = [];
+    const scopeConditions = resolveProblemScope(req.user, queryParams);
+    const statusParams = [...queryParams, RESOLVED_STATUSES, PENDING_STATUSES];
+    const resolvedParam = `$${queryParams.length + 1}`;
+    const pendingParam = `$${queryParams.length + 2}`;
+
+    // Complaints grouped by the ward their location falls in
     const result = await client.query(`
       SELECT 
-        CASE 
-          WHEN latitude BETWEEN 26.44 AND 26.46 THEN 'Ward 1 - Civil Lines'
-          WHEN latitude BETWEEN 26.46 AND 26.48 THEN 'Ward 2 - Mall Road'
-          WHEN latitude BETWEEN 26.48 AND 26.50 THEN 'Ward 3 - Swaroop Nagar'
-          WHEN latitude BETWEEN 26.50 AND 26.52 THEN 'Ward 4 - Kidwai Nagar'
-          ELSE 'Ward 5 - Other Areas'
-        END as name,
+        w.id,
+        w.name,
+        w.name_en,
+        w.ward_number,
+        w.population,
+        o.name as officer_name,
+        COUNT(p.id) as total_complaints,
+        COUNT(p.id) FILTER (WHERE p.status = ANY(${resolvedParam})) as resolved_complaints,
+        COUNT(p.id) FILTER (WHERE p.status = ANY(${pendingParam})) as pending_complaints
+      FROM wards w
+      LEFT JOIN users o ON w.officer_id = o.id
+      LEFT JOIN problems p ON p.ward_id = w.id
+        ${scopeConditions.map(condition => `AND ${condition}`).join(' ')}
+      GROUP BY w.id, o.name
+      ORDER BY w.ward_number NULLS LAST, w.name
+    `, statusParams);
+
+    // Complaints outside every ward boundary
+    const unmappedResult = await client.query(`
+      SELECT 
         COUNT(*) as total_complaints,
-        COUNT(*) FILTER (WHERE status = 'completed') as resolved_complaints,
-        COUNT(*) FILTER (WHERE status = 'not completed') as pending_complaints,
-        CASE 
-          WHEN latitude BETWEEN 26.44 AND 26.46 THEN 75000
-          WHEN latitude BETWEEN 26.46 AND 26.48 THEN 85000
-          WHEN latitude BETWEEN 26.48 AND 26.50 THEN 65000
-          WHEN latitude BETWEEN 26.50 AND 26.52 THEN 90000
-          ELSE 55000
-        END as population
+        COUNT(*) FILTER (WHERE status = ANY(${resolvedParam})) as resolved_complaints,
+        COUNT(*) FILTER (WHERE status = ANY(${pendingParam})) as pending_complaints
       FROM problems p
-      ${departmentFilter}
-      GROUP BY name, population
-      ORDER BY name
-    `, queryParams);
+      WHERE ${['p.ward_id IS NULL', ...scopeConditions].join(' AND ')}
+    `, statusParams);
+
+    const rows = [...result.rows];
+    if (parseInt(unmappedResult.rows[0].total_complaints) > 0) {
+      rows.push({
+        id: null,
+        name: 'Unmapped Area',
+        name_en: 'Unmapped Area',
+        ward_number: null,
+        population: null,
+        officer_name: null,
+        ...unmappedResult.rows[0]
+      });
+    }
 
     // Ensure all numeric values are properly formatted
-    const wards = result.rows.map(ward => ({
+    const wards = rows.map(ward => ({
       ...ward,
-      name_en: ward.name, // Add English name
+      name_en: ward.name_en || ward.name,
       total_complaints: parseInt(ward.total_complaints) || 0,
       resolved_complaints: parseInt(ward.resolved_complaints) || 0,
       pending_complaints: parseInt(ward.pending_complaints) || 0,
-      population: parseInt(ward.population) || 50000
+      population: parseInt(ward.population) || null
     }));
 
     res.json({ wards });
@@ -1423,42 +8370,22 @@ app.get('/api/analytics/wards', authenticateToken, async (req, res) => {
 });
 
 // Get Real-time Activity Data (Enhanced)
-app.get('/api/analytics/activity', authenticateToken, async (req, res) => {
+app.get('/api/analytics/activity', authenticateToken, authorize('analytics:read'), async (req, res) => {
   try {
-    if (!['district-magistrate', 'department-head'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
-    }
-
-    let departmentFilter = 'WHERE DATE(created_at) = CURRENT_DATE';
-    let queryParams = [];
-    
-    if (req.user.role === 'department-head') {
-      // For department heads, filter by their department
-      const categoryMapping = {
-        'सफाई विभाग': ['Garbage & Waste Management', 'सफाई और कचरा प्रबंधन', 'Garbage & Waste', 'Garbage & Waste (roadside dumps, no dustbins, poor segregation)', 'Pollution (open garbage burning)'],
-        'जल विभाग': ['Water Supply', 'जल आपूर्ति', 'Water & Sanitation'],
-        'सड़क विभाग': ['Roads & Transportation', 'सड़क और परिवहन', 'Roads & Infrastructure'],
-        'विद्युत विभाग': ['Electricity', 'बिजली', 'Power & Utilities']
-      };
-      const categories = categoryMapping[req.user.department] || [req.user.department];
-      // Use string matching to check categories
-      departmentFilter = `WHERE DATE(created_at) = CURRENT_DATE AND (assigned_department = $1 OR 
-        problem_categories::text LIKE '%Garbage%' OR 
-        problem_categories::text LIKE '%सफाई%' OR
-        problem_categories::text LIKE '%Waste%')`;
-      queryParams.push(req.user.department);
-    }
+    const queryParams = [];
+    const scopeConditions = resolveProblemScope(req.user, queryParams);
+    const departmentFilter = `WHERE ${['DATE(p.created_at) = CURRENT_DATE', ...scopeConditions].join(' AND ')}`;
 
     const result = await client.query(`
       SELECT 
         EXTRACT(HOUR FROM created_at) as hour,
         COUNT(*) as complaints,
-        COUNT(*) FILTER (WHERE status = 'completed') as resolved
-      FROM problems 
+        COUNT(*) FILTER (WHERE status = ANY($${queryParams.length + 1})) as resolved
+      FROM problems p
       ${departmentFilter}
       GROUP BY EXTRACT(HOUR FROM created_at)
       ORDER BY hour
-    `, queryParams);
+    `, [...queryParams, RESOLVED_STATUSES]);
 
     // Fill in missing hours with 0 values
     const activityData = [];
@@ -1483,33 +8410,13 @@ app.get('/api/analytics/activity', authenticateToken, async (req, res) => {
 });
 
 // Get Recent Activity Feed (Enhanced)
-app.get('/api/analytics/recent-activity', authenticateToken, async (req, res) => {
+app.get('/api/analytics/recent-activity', authenticateToken, authorize('analytics:read'), async (req, res) => {
   try {
-    if (!['district-magistrate', 'department-head'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Unauthorized access' });
-    }
-
     const { limit = 20 } = req.query;
 
-    let departmentFilter = '';
-    let queryParams = [parseInt(limit.toString())];
-    
-    if (req.user.role === 'department-head') {
-      // For department heads, filter by their department
-      const categoryMapping = {
-        'सफाई विभाग': ['Garbage & Waste Management', 'सफाई और कचरा प्रबंधन', 'Garbage & Waste', 'Garbage & Waste (roadside dumps, no dustbins, poor segregation)', 'Pollution (open garbage burning)'],
-        'जल विभाग': ['Water Supply', 'जल आपूर्ति', 'Water & Sanitation'],
-        'सड़क विभाग': ['Roads & Transportation', 'सड़क और परिवहन', 'Roads & Infrastructure'],
-        'विद्युत विभाग': ['Electricity', 'बिजली', 'Power & Utilities']
-      };
-      const categories = categoryMapping[req.user.department] || [req.user.department];
-      // Use string matching to check categories
-      departmentFilter = `WHERE (p.assigned_department = $2 OR 
-        p.problem_categories::text LIKE '%Garbage%' OR 
-        p.problem_categories::text LIKE '%सफाई%' OR
-        p.problem_categories::text LIKE '%Waste%')`;
-      queryParams.push(req.user.department);
-    }
+    const queryParams = [parseInt(limit.toString())];
+    const scopeConditions = resolveProblemScope(req.user, queryParams);
+    const departmentFilter = scopeConditions.length > 0 ? `WHERE ${scopeConditions.join(' AND ')}` : '';
 
     const result = await client.query(`
       SELECT 
@@ -1517,11 +8424,11 @@ app.get('/api/analytics/recent-activity', authenticateToken, async (req, res) =>
         psh.status,
         psh.notes,
         psh.created_at,
-        u.name as updated_by_name,
+        COALESCE(u.name, 'System') as updated_by_name,
         p.problem_categories,
         p.others_text
       FROM problem_status_history psh
-      JOIN users u ON psh.updated_by_id = u.id
+      LEFT JOIN users u ON psh.updated_by_id = u.id
       JOIN problems p ON psh.problem_id = p.id
       ${departmentFilter}
       ORDER BY psh.created_at DESC
@@ -1551,7 +8458,11 @@ app.get('/api/analytics/recent-activity', authenticateToken, async (req, res) =>
 // ==================== HEALTH CHECK ROUTE ====================
 
 app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  res.json({
+    status: auditWriteFailures.count > 0 ? 'DEGRADED' : 'OK',
+    timestamp: new Date().toISOString(),
+    audit_write_failures: auditWriteFailures.count
+  });
 });
 
 // ==================== ERROR HANDLING MIDDLEWARE ====================
@@ -1565,44 +8476,133 @@ app.use((error, req, res, next) => {
 
 async function startServer() {
   try {
+    if (process.env.NODE_ENV === 'production' &&
+      (!process.env.JWT_SECRET || WEAK_JWT_SECRETS.includes(JWT_SECRET) || JWT_SECRET.length < 32)) {
+      throw new Error('JWT_SECRET must be set to a strong secret (at least 32 characters) in production');
+    }
+    if (!aadhaarKeys.configured) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('AADHAAR_ENCRYPTION_KEY must be set in production');
+      }
+      console.warn('⚠️  AADHAAR_ENCRYPTION_KEY is not set; using a development key derived from JWT_SECRET');
+    }
+    const devTransports = Object.entries(messageTransports)
+      .filter(([, transport]) => DEVELOPMENT_TRANSPORTS.includes(transport.name))
+      .map(([channel, transport]) => `${channel === 'email' ? 'EMAIL' : 'SMS'}_TRANSPORT=${transport.name}`);
+    if (devTransports.length > 0) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error(`${devTransports.join(', ')} only records messages locally; configure smtp/http delivery in production`);
+      }
+      console.warn(`⚠️  ${devTransports.join(', ')}: verification codes and reset links are not delivered`);
+    }
+
     await connectDatabase();
     await initializeDatabase();
+    await migrateBase64ImagesToBlobStore();
+    await migrateAadhaarEncryption();
+    await bootstrapFirstMagistrate();
     
+    startSlaScheduler();
+    startStatsScheduler();
+    startLocationMaintenance();
+
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
+      console.log(`🤖 AI provider: ${aiProvider ? `${aiProvider.name} (${aiProvider.model})` : 'none'}`);
       console.log('📋 Available routes:');
       console.log('  🔐 Authentication:');
       console.log('    POST /api/users/register - User registration');
+      console.log('    POST /api/users/invites/redeem - Create a staff account from an invite');
       console.log('    POST /api/users/login - User login');
+      console.log('    POST /api/users/refresh - Rotate refresh token, get new access token');
+      console.log('    POST /api/users/logout - End the current session');
+      console.log('    POST /api/users/logout-all - End all sessions of the user');
+      console.log('    POST /api/users/verification/send - Send email/phone verification code');
+      console.log('    POST /api/users/verification/confirm - Confirm verification code');
+      console.log('    POST /api/users/password/forgot - Email a password reset link');
+      console.log('    POST /api/users/password/reset - Reset password with token');
+      console.log('    POST /api/users/:user_id/aadhaar/reveal - Reveal Aadhaar number (audited)');
+      console.log('    GET /api/admin/aadhaar/access-log - Aadhaar reveal log');
+      console.log('    POST /api/admin/users/:user_id/deactivate - Deactivate user, reassign open tasks');
+      console.log('    POST /api/admin/users/:user_id/reactivate - Reactivate user');
+      console.log('    PATCH /api/admin/users/:user_id/role - Change user role');
+      console.log('    PATCH /api/admin/users/:user_id/department - Transfer user to another department');
+      console.log('    GET /api/admin/audit - Audit log of changes (filterable)');
+      console.log('    GET /api/admin/audit/verify - Verify the audit log hash chain');
       console.log('    GET /api/users/:user_id - Get user details');
       console.log('    PUT /api/users/:user_id - Update user profile');
       console.log('    GET /api/users - Get all users (admin)');
+      console.log('    GET /api/permissions - Role permission matrix');
+      console.log('    POST /api/admin/invites - Invite a staff member');
+      console.log('    GET /api/admin/invites - List staff invites');
+      console.log('    DELETE /api/admin/invites/:id - Revoke a staff invite');
       console.log('  🚨 Problem Management:');
       console.log('    POST /api/analyze-image - AI image analysis');
+      console.log('    GET /api/admin/ai/status - AI provider, circuit and quota status');
       console.log('    POST /api/problems - Submit problem');
-      console.log('    GET /api/problems/user/:user_id - Get user problems');
-      console.log('    GET /api/admin/problems - Get all problems (admin)');
-      console.log('    POST /api/admin/problems/:id/complete - Mark completed');
+      console.log('    POST /api/problems/duplicates - Find nearby duplicate complaints');
+      console.log('    POST /api/problems/:id/support - Support (+1) a complaint');
+      console.log('    POST /api/problems/:id/feedback - Rate a resolved problem');
+      console.log('    POST /api/problems/:id/reopen - Reopen a resolved problem with a photo');
+      console.log('    GET /api/problems/user/:user_id - Get user problems (filter/sort/paginate)');
+      console.log('    GET /api/admin/problems - Get all problems (admin, filter/sort/paginate)');
+      console.log('    GET /api/admin/triage - Triage queue (unrouted problems)');
+      console.log('    POST /api/admin/problems/:id/route - Route problem to department');
+      console.log('    POST /api/admin/problems/:id/merge - Merge duplicates into a problem');
+      console.log('    POST /api/admin/problems/:id/complete - Mark resolved (completion photo, proof-of-work check)');
+      console.log('    GET /api/admin/review-queue - Completions awaiting supervisor review');
+      console.log('    POST /api/admin/problems/:id/review - Approve or reject a completion');
+      console.log('    GET /api/admin/problems/:id/recommended-workers - Rank workers for a problem');
       console.log('    POST /api/admin/problems/:id/assign - Assign worker');
       console.log('    PATCH /api/admin/problems/:id - Update problem');
+      console.log('    GET /api/problems/statuses - Status lifecycle and allowed transitions');
       console.log('    GET /api/problems/:id/history - Get problem history');
+      console.log('    GET /api/problems/:id/images/:kind - Get problem image (?size=thumb|medium|full)');
       console.log('  👷 Worker Management:');
       console.log('    GET /api/admin/workers - Get all workers');
       console.log('    POST /api/admin/workers - Create worker profile');
       console.log('    PATCH /api/workers/:id/status - Update worker status');
+      console.log('    POST /api/workers/me/locations - Upload batched GPS points (field worker)');
+      console.log('    GET /api/admin/workers/live - Live worker positions and trails');
+      console.log('    GET /api/admin/workers/:id/trail - Worker location trail');
+      console.log('    GET /api/workers/me/tasks - My task queue and route (field worker)');
+      console.log('    POST /api/workers/me/tasks/:id/accept - Accept a task');
+      console.log('    POST /api/workers/me/tasks/:id/start - Start a task');
+      console.log('    POST /api/workers/me/tasks/:id/decline - Decline a task');
       console.log('  🏢 Department Management:');
       console.log('    GET /api/admin/departments - Get all departments');
       console.log('    POST /api/admin/departments - Create department');
       console.log('    PUT /api/admin/departments/:id - Update department');
+      console.log('  🧭 Category Routing:');
+      console.log('    GET /api/admin/category-routes - List category routes');
+      console.log('    POST /api/admin/category-routes - Create category route');
+      console.log('    PUT /api/admin/category-routes/:id - Update category route');
+      console.log('    DELETE /api/admin/category-routes/:id - Delete category route');
+      console.log('  🗺️ Wards:');
+      console.log('    GET /api/admin/wards - List wards');
+      console.log('    GET /api/admin/wards/geojson - Export wards as GeoJSON');
+      console.log('    POST /api/admin/wards/import - Import wards from GeoJSON');
+      console.log('    PUT /api/admin/wards/:id - Update ward');
+      console.log('    DELETE /api/admin/wards/:id - Delete ward');
+      console.log('  ⏱️ SLA Policies:');
+      console.log('    GET /api/admin/sla-policies - List SLA policies');
+      console.log('    POST /api/admin/sla-policies - Create SLA policy');
+      console.log('    PUT /api/admin/sla-policies/:id - Update SLA policy');
+      console.log('    DELETE /api/admin/sla-policies/:id - Delete SLA policy');
       console.log('  🔔 Notifications:');
       console.log('    GET /api/notifications - Get notifications');
       console.log('    POST /api/notifications - Create notification');
       console.log('    PATCH /api/notifications/:id/read - Mark as read');
+      console.log('  📡 Realtime:');
+      console.log('    POST /api/events/token - Short-lived token for opening the event stream');
+      console.log('    GET /api/events/stream - Live problem and notification events (SSE, Last-Event-ID resume)');
       console.log('  📊 Analytics (Enhanced):');
       console.log('    GET /api/analytics/dashboard - Dashboard analytics');
       console.log('    GET /api/analytics/departments - Department performance');
       console.log('    GET /api/analytics/workers - Worker performance');
       console.log('    GET /api/analytics/wards - Ward analytics');
+      console.log('    POST /api/admin/analytics/rebuild - Rebuild worker/department statistics');
+      console.log('    GET /api/admin/analytics/performance - Stored performance snapshots');
       console.log('    GET /api/analytics/activity - Real-time activity');
       console.log('    GET /api/analytics/recent-activity - Recent activity feed');
       console.log('  🏥 Health:');